@@ -0,0 +1,219 @@
+// ============================================
+// AGGREGATIONS MODULE
+// Grouped counts and averages for aggregate search questions
+// ("how many complaints per source?", "compare sentiment between Pro and Enterprise")
+// Results come back chart-ready: { labels, datasets: [{ label, data }] }
+// ============================================
+
+import { toDateBounds } from './date-ranges.js';
+
+/**
+ * Metrics an aggregate intent can ask for
+ */
+export const AGGREGATE_METRICS = {
+  count: { label: 'Feedback count', column: 'count' },
+  avg_urgency: { label: 'Average urgency score', column: 'avg_urgency' },
+  avg_value: { label: 'Average value score', column: 'avg_value' }
+};
+
+/**
+ * Dimensions results can be grouped (or split) by
+ * expr is evaluated against the aggregate query aliases below
+ */
+export const GROUP_DIMENSIONS = {
+  // No grouping - a single total ("how many critical D1 issues?")
+  all: { label: 'All feedback', expr: `'All feedback'` },
+  product: { label: 'Product', expr: `COALESCE(pa.product_name, 'Unknown')` },
+  source: { label: 'Source', expr: `COALESCE(s.source_name, 'Unknown')` },
+  tier: { label: 'Customer tier', expr: `COALESCE(u.customer_tier, 'Unknown')` },
+  theme: { label: 'Theme', expr: `COALESCE(gt.theme_name, 'Untagged')`, themes: true },
+  sentiment: { label: 'Sentiment', expr: `COALESCE(sa.sentiment, 'Unknown')` },
+  urgency: { label: 'Urgency', expr: `COALESCE(sa.urgency, 'Unknown')` },
+  status: { label: 'Triage status', expr: `fm.status` },
+  // Monday of the feedback's week
+  week: { label: 'Week', expr: `date(fm.created_date, 'weekday 0', '-6 days')`, chronological: true }
+};
+
+// Compared date periods - not a choice for the model, they come from the query's dates
+const PERIOD_DIMENSION = { label: 'Period', expr: 'p.period_label', periods: true };
+
+/**
+ * Aggregate per compared period ("last month vs this month"): one group per period,
+ * or one dataset per period when the question groups by something else
+ * periods: [{ label, dateFrom, dateTo }] from parseDateRange()
+ * Returns: aggregate for buildAggregateSQL() / shapeAggregation()
+ */
+export function comparePeriods(aggregate, periods) {
+  if (!periods?.length) return aggregate;
+  return aggregate.groupBy === 'all'
+    ? { ...aggregate, groupBy: 'period', periods }
+    : { ...aggregate, splitBy: 'period', periods };
+}
+
+/**
+ * Build the grouped query
+ * filters: { fromClause, conditions, params } - the search filters (same as the row query)
+ * aggregate: { metric, groupBy, splitBy, values }
+ * Returns: { sql, params }
+ */
+export function buildAggregateSQL(filters, aggregate) {
+  const group = dimension(aggregate.groupBy);
+  const split = aggregate.splitBy ? dimension(aggregate.splitBy) : null;
+  const params = [...filters.params];
+
+  // Match each feedback item once, then aggregate over the distinct set
+  // (the filter joins fan out per theme and would skew averages)
+  let sql = `
+    WITH matched AS (
+      SELECT DISTINCT fm.feedback_id
+      ${filters.fromClause}
+      WHERE 1=1${filters.conditions.map(c => ` AND ${c}`).join('')}
+    )
+    SELECT
+      ${group.expr} AS group_key,
+      ${split ? split.expr : 'NULL'} AS split_key,
+      COUNT(DISTINCT fm.feedback_id) AS count,
+      ROUND(AVG(fm.urgency_score), 2) AS avg_urgency,
+      ROUND(AVG(fm.value_score), 2) AS avg_value
+    FROM matched m
+    JOIN feedback_master fm ON fm.feedback_id = m.feedback_id
+    LEFT JOIN users u ON fm.user_id = u.user_id
+    LEFT JOIN product_areas pa ON fm.product_area_id = pa.product_area_id
+    LEFT JOIN sources s ON fm.source_id = s.source_id
+    LEFT JOIN sentiment_analysis sa ON fm.feedback_id = sa.feedback_id
+  `;
+
+  if (group.themes || split?.themes) {
+    sql += `
+    LEFT JOIN feedback_themes gft ON fm.feedback_id = gft.feedback_id
+    LEFT JOIN themes gt ON gft.theme_id = gt.theme_id
+    `;
+  }
+
+  // Periods may overlap ("this month vs this year"), so an item counts in each one it falls in
+  if (group.periods || split?.periods) {
+    sql += `
+    JOIN (${aggregate.periods.map(() => 'SELECT ? AS period_label, ? AS period_start, ? AS period_end').join(' UNION ALL ')}) p
+      ON fm.created_date >= p.period_start AND fm.created_date < p.period_end
+    `;
+    for (const period of aggregate.periods) {
+      const { start, end } = toDateBounds(period.dateFrom, period.dateTo);
+      params.push(period.label, start, end);
+    }
+  }
+
+  // "compare Pro and Enterprise" - only the named groups
+  if (aggregate.values?.length) {
+    sql += ` WHERE ${group.expr} IN (${aggregate.values.map(() => '?').join(',')})`;
+    params.push(...aggregate.values);
+  }
+
+  sql += ` GROUP BY group_key, split_key`;
+
+  return { sql, params };
+}
+
+/**
+ * Turn grouped rows into a chart-ready aggregation
+ * Returns: { metric, metric_label, group_by, split_by, labels, datasets, rows, total }
+ */
+export function shapeAggregation(rows, aggregate) {
+  const metric = AGGREGATE_METRICS[aggregate.metric];
+  const group = dimension(aggregate.groupBy);
+  const periodLabels = aggregate.periods?.map(period => period.label);
+
+  // Order groups: chronological for weeks, otherwise by the metric (largest first)
+  const totals = new Map();
+  for (const row of rows) {
+    const entry = totals.get(row.group_key) || { count: 0, weighted: 0 };
+    entry.count += row.count;
+    entry.weighted += (row[metric.column] || 0) * row.count;
+    totals.set(row.group_key, entry);
+  }
+  const groupValue = key => {
+    const entry = totals.get(key);
+    if (!entry) return 0;
+    return aggregate.metric === 'count' ? entry.count : entry.weighted / entry.count;
+  };
+
+  // Periods keep the order they were asked in, empty ones included
+  const labels = group.periods ? periodLabels : [...totals.keys()].sort((a, b) => group.chronological
+    ? String(a).localeCompare(String(b))
+    : groupValue(b) - groupValue(a) || String(a).localeCompare(String(b)));
+
+  let datasets;
+  if (aggregate.splitBy) {
+    const splits = aggregate.splitBy === 'period' ? periodLabels : [...new Set(rows.map(row => row.split_key))].sort();
+    datasets = splits.map(split => ({
+      label: split,
+      data: labels.map(label => {
+        const row = rows.find(r => r.group_key === label && r.split_key === split);
+        return row ? row[metric.column] : 0;
+      })
+    }));
+  } else {
+    datasets = [{ label: metric.label, data: labels.map(label => round(groupValue(label))) }];
+  }
+
+  return {
+    metric: aggregate.metric,
+    metric_label: metric.label,
+    group_by: aggregate.groupBy,
+    split_by: aggregate.splitBy || null,
+    ...(aggregate.periods && { periods: aggregate.periods }),
+    labels,
+    datasets,
+    rows: rows.map(row => ({
+      group: row.group_key,
+      ...(aggregate.splitBy && { split: row.split_key }),
+      count: row.count,
+      avg_urgency: row.avg_urgency,
+      avg_value: row.avg_value
+    })),
+    // With theme grouping an item is counted once per theme (per period with overlapping periods)
+    total: [...totals.values()].reduce((sum, entry) => sum + entry.count, 0)
+  };
+}
+
+/**
+ * Plain-text summary of an aggregation - used as the grounding table for the LLM
+ * and as the response when the LLM is unavailable
+ */
+export function describeAggregation(aggregation) {
+  const group = dimension(aggregation.group_by);
+  if (aggregation.labels.length === 0) {
+    return 'No feedback items match your query.';
+  }
+
+  const lines = aggregation.labels.map((label, i) => {
+    if (!aggregation.split_by) {
+      return `- ${label}: ${aggregation.datasets[0].data[i]}`;
+    }
+    const parts = aggregation.datasets
+      .filter(dataset => dataset.data[i])
+      .map(dataset => `${dataset.label} ${dataset.data[i]}`);
+    return `- ${label}: ${parts.join(', ')}`;
+  });
+
+  if (aggregation.group_by === 'all' && !aggregation.split_by) {
+    return `${aggregation.metric_label}: ${aggregation.datasets[0].data[0]} (${aggregation.total} feedback items)`;
+  }
+
+  const splitText = aggregation.split_by ? `, split by ${dimension(aggregation.split_by).label.toLowerCase()}` : '';
+  return `${aggregation.metric_label} by ${group.label.toLowerCase()}${splitText} ` +
+    `(${aggregation.total} feedback items):\n${lines.join('\n')}`;
+}
+
+/**
+ * Helper: Grouping dimension by name, including compared periods
+ */
+function dimension(name) {
+  return name === 'period' ? PERIOD_DIMENSION : GROUP_DIMENSIONS[name];
+}
+
+/**
+ * Helper: Two decimals for averages, integers stay integers
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -4,19 +4,53 @@
 // Uses Workers AI (Llama 3)
 // ============================================
 
+import { THEMES_SCHEMA, SENTIMENT_SCHEMA, validateOutput, describeErrors } from './analysis-schema.js';
+import { delimit, detectInjection, reviewAnalysis, UNTRUSTED_TEXT_RULE } from './prompt-safety.js';
+
+export const ANALYSIS_MODEL = '@cf/meta/llama-3-8b-instruct';
+
+/**
+ * Default theme taxonomy (mirrors the seed rows in schema.sql)
+ * Used when no taxonomy is loaded from the themes table
+ */
+export const DEFAULT_THEMES = [
+  { name: 'API Rate Limits', keywords: ['rate limit', '429', 'too restrictive', 'quota'] },
+  { name: 'Documentation Quality', keywords: ['docs', 'documentation', 'unclear', 'confusing', 'tutorial'] },
+  { name: 'Performance Issues', keywords: ['slow', 'latency', 'performance', 'degraded', 'timeout'] },
+  { name: 'Billing Concerns', keywords: ['billing', 'cost', 'price', 'pricing', 'expensive', 'surprise'] },
+  { name: 'Feature Request', keywords: ['request', 'feature', 'need', 'please add', 'would love', 'suggestion'] },
+  { name: 'WebSocket Support', keywords: ['websocket', 'ws', 'real-time', 'socket'] },
+  { name: 'Regional Issues', keywords: ['region', 'apac', 'eu', 'latency', 'geographic'] },
+  { name: 'Cold Start Latency', keywords: ['cold start', 'initialization', 'slow start'] },
+  { name: 'TypeScript Support', keywords: ['typescript', 'types', 'type definitions'] },
+  { name: 'Mobile SDK', keywords: ['mobile', 'ios', 'android', 'sdk'] },
+  { name: 'Security/Compliance', keywords: ['soc2', 'hipaa', 'compliance', 'security', 'ip allowlist'] },
+  { name: 'Data Loss', keywords: ['data loss', 'disappearing', 'missing', 'lost'] },
+  { name: 'Build/Deploy Issues', keywords: ['build', 'deploy', 'deployment', 'stuck', 'failed'] },
+  { name: 'Positive Feedback', keywords: ['love', 'great', 'amazing', 'excellent', 'thank you'] }
+];
+
 /**
  * Main AI Agent - orchestrates all AI analysis
+ * options.themes: taxonomy from loadThemeTaxonomy() - [{ name, keywords }]
+ * options.examples: analyst corrections from loadCorrectionExamples() - few-shot examples
  */
 export class FeedbackAnalysisAgent {
-  constructor(aiBinding) {
+  constructor(aiBinding, options = {}) {
     this.ai = aiBinding;
+    this.themes = options.themes?.length ? options.themes : DEFAULT_THEMES;
+    this.examples = options.examples || { sentiment: [], themes: [] };
   }
 
   /**
    * Analyze feedback comprehensively
-   * Returns: { themes, sentiment, urgency, summary, valueScore }
+   * Returns: { themes, sentiment, urgency, summary, valueScore, confidence, fallback, validation, injection }
+   *   validation: one report per prompt (see runValidated)
+   *   injection: prompt-injection screening (see applyInjectionChecks)
    */
   async analyzeFeedback(feedbackText, metadata = {}) {
+    const detection = detectInjection(feedbackText);
+
     try {
       // Run analysis in parallel for speed
       const [themes, sentimentAnalysis] = await Promise.all([
@@ -24,43 +58,65 @@ export class FeedbackAnalysisAgent {
         this.analyzeSentimentAndUrgency(feedbackText, metadata)
       ]);
 
-      return {
+      return this.applyInjectionChecks(feedbackText, {
         themes: themes.themes,
         sentiment: sentimentAnalysis.sentiment,
         urgency: sentimentAnalysis.urgency,
         summary: sentimentAnalysis.summary,
         valueScore: sentimentAnalysis.valueScore,
-        confidence: (themes.confidence + sentimentAnalysis.confidence) / 2
-      };
+        confidence: (themes.confidence + sentimentAnalysis.confidence) / 2,
+        fallback: Boolean(themes.fallback || sentimentAnalysis.fallback),
+        validation: [themes.validation, sentimentAnalysis.validation].filter(Boolean)
+      }, detection);
     } catch (error) {
       console.error('AI analysis error:', error);
-      return this.getFallbackAnalysis(feedbackText);
+      return this.applyInjectionChecks(feedbackText, this.getFallbackAnalysis(feedbackText), detection);
     }
   }
 
+  /**
+   * Flag prompt-injection attempts and undo labels the model took from the text
+   * Suspect labels go back to the keyword estimates (prompt-safety.js reviewAnalysis)
+   * Returns: the analysis with injection: { flagged, signals, anomalies }
+   */
+  applyInjectionChecks(feedbackText, analysis, detection = detectInjection(feedbackText)) {
+    const estimates = {
+      sentiment: this.inferSentiment(detection.remainder),
+      urgency: this.inferUrgency(detection.remainder),
+      valueScore: 5
+    };
+    const { anomalies, overrides } = analysis.fallback
+      ? { anomalies: [], overrides: {} }
+      : reviewAnalysis(analysis, detection, estimates);
+
+    if ('summary' in overrides) overrides.summary = detection.remainder.slice(0, 100) + '...';
+    if (anomalies.length > 0) {
+      console.log('Analysis followed instructions in the feedback:', JSON.stringify({ anomalies, signals: detection.signals }));
+      overrides.confidence = Math.min(analysis.confidence, 0.5);
+    }
+
+    return {
+      ...analysis,
+      ...overrides,
+      injection: {
+        flagged: detection.suspicious || anomalies.length > 0,
+        signals: detection.signals,
+        anomalies
+      }
+    };
+  }
+
   /**
    * Extract themes using Workers AI
    */
   async extractThemes(feedbackText) {
-    const prompt = `Analyze this customer feedback and extract the main themes/topics.
-
-Feedback: "${feedbackText}"
-
-Identify 1-3 primary themes from this list:
-- API Rate Limits
-- Documentation Quality
-- Performance Issues
-- Billing Concerns
-- Feature Request
-- WebSocket Support
-- Regional Issues
-- Cold Start Latency
-- TypeScript Support
-- Mobile SDK
-- Security/Compliance
-- Data Loss
-- Build/Deploy Issues
-- Positive Feedback
+    const prompt = `Analyze the customer feedback in the <feedback> tags and extract the main themes/topics.
+
+${delimit(feedbackText)}
+
+Identify 1-3 primary themes from this list (related keywords in brackets):
+${this.formatThemeList()}
+${this.formatExamples('themes')}
 
 Respond ONLY with a JSON object in this format:
 {
@@ -69,25 +125,28 @@ Respond ONLY with a JSON object in this format:
 }`;
 
     try {
-      const response = await this.ai.run('@cf/meta/llama-3-8b-instruct', {
-        messages: [
-          { role: 'system', content: 'You are a product feedback analysis expert. Always respond with valid JSON only.' },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.3,
-        max_tokens: 200
+      const messages = [
+        { role: 'system', content: `You are a product feedback analysis expert. Always respond with valid JSON only. ${UNTRUSTED_TEXT_RULE}` },
+        { role: 'user', content: prompt }
+      ];
+
+      const { value, validation } = await this.runValidated('themes', messages, { temperature: 0.3, max_tokens: 200 }, THEMES_SCHEMA, {
+        themes: () => [this.inferThemeFromKeywords(feedbackText)].filter(Boolean),
+        confidence: () => 0.7
       });
 
-      const result = this.parseAIResponse(response);
       return {
-        themes: result.themes || [this.inferThemeFromKeywords(feedbackText)],
-        confidence: result.confidence || 0.7
+        themes: value.themes,
+        confidence: validation.fallbackFields.length > 0 ? Math.min(value.confidence, 0.5) : value.confidence,
+        fallback: validation.unusable,
+        validation
       };
     } catch (error) {
       console.error('Theme extraction error:', error);
       return {
-        themes: [this.inferThemeFromKeywords(feedbackText)],
-        confidence: 0.5
+        themes: [this.inferThemeFromKeywords(feedbackText)].filter(Boolean),
+        confidence: 0.5,
+        fallback: true
       };
     }
   }
@@ -96,9 +155,9 @@ Respond ONLY with a JSON object in this format:
    * Analyze sentiment and urgency
    */
   async analyzeSentimentAndUrgency(feedbackText, metadata = {}) {
-    const prompt = `Analyze this customer feedback for sentiment and urgency.
+    const prompt = `Analyze the customer feedback in the <feedback> tags for sentiment and urgency.
 
-Feedback: "${feedbackText}"
+${delimit(feedbackText)}
 ${metadata.customerTier ? `Customer Tier: ${metadata.customerTier}` : ''}
 ${metadata.source ? `Source: ${metadata.source}` : ''}
 
@@ -121,26 +180,28 @@ Value score (1-10):
 - Consider business impact, customer tier, number of affected users
 - Enterprise issues: 8-10
 - Pro tier issues: 6-8
-- Community requests: 3-6`;
+- Community requests: 3-6
+${this.formatExamples('sentiment')}`;
 
     try {
-      const response = await this.ai.run('@cf/meta/llama-3-8b-instruct', {
-        messages: [
-          { role: 'system', content: 'You are a product manager analyzing customer feedback. Always respond with valid JSON only.' },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.2,
-        max_tokens: 300
+      const messages = [
+        { role: 'system', content: `You are a product manager analyzing customer feedback. Always respond with valid JSON only. ${UNTRUSTED_TEXT_RULE}` },
+        { role: 'user', content: prompt }
+      ];
+
+      const { value, validation } = await this.runValidated('sentiment', messages, { temperature: 0.2, max_tokens: 300 }, SENTIMENT_SCHEMA, {
+        sentiment: () => this.inferSentiment(feedbackText),
+        urgency: () => this.inferUrgency(feedbackText),
+        summary: () => feedbackText.slice(0, 100) + '...',
+        valueScore: () => 5,
+        confidence: () => 0.7
       });
 
-      const result = this.parseAIResponse(response);
-      
       return {
-        sentiment: result.sentiment || this.inferSentiment(feedbackText),
-        urgency: result.urgency || this.inferUrgency(feedbackText),
-        summary: result.summary || feedbackText.slice(0, 100) + '...',
-        valueScore: result.valueScore || 5,
-        confidence: result.confidence || 0.7
+        ...value,
+        confidence: validation.fallbackFields.length > 0 ? Math.min(value.confidence, 0.5) : value.confidence,
+        fallback: validation.unusable,
+        validation
       };
     } catch (error) {
       console.error('Sentiment analysis error:', error);
@@ -156,10 +217,9 @@ Value score (1-10):
       `- ${item.product_name}: ${item.ai_summary} (${item.urgency}, ${item.customer_tier})`
     ).join('\n');
 
-    const prompt = `Summarize these top customer feedback items for executive leadership.
+    const prompt = `Summarize the top customer feedback items in the <feedback_items> tags for executive leadership.
 
-Feedback Items:
-${summaries}
+${delimit(summaries, 'feedback_items', Infinity)}
 
 Provide:
 1. Top 3 critical themes requiring immediate attention
@@ -171,7 +231,7 @@ Keep it concise (3-4 sentences).`;
     try {
       const response = await this.ai.run('@cf/meta/llama-3-8b-instruct', {
         messages: [
-          { role: 'system', content: 'You are a product manager creating executive briefings.' },
+          { role: 'system', content: `You are a product manager creating executive briefings. ${UNTRUSTED_TEXT_RULE}` },
           { role: 'user', content: prompt }
         ],
         temperature: 0.4,
@@ -186,54 +246,208 @@ Keep it concise (3-4 sentences).`;
   }
 
   /**
-   * Parse AI response (handles various formats)
+   * Propose a name for a cluster of similar, untagged feedback
+   * Returns: { themeName, category, keywords }
    */
-  parseAIResponse(response) {
+  async proposeThemeLabel(sampleTexts) {
+    const samples = sampleTexts.slice(0, 8).map((text, i) => `${i + 1}. ${text.slice(0, 300).replace(/\s+/g, ' ')}`).join('\n');
+    const existing = this.themes.map(theme => theme.name).join(', ');
+
+    const prompt = `The customer feedback items in the <feedback_items> tags were grouped together because they talk about the same thing.
+
+${delimit(samples, 'feedback_items', Infinity)}
+
+Existing themes (do NOT reuse these names): ${existing}
+
+Propose a NEW theme that describes what these items have in common.
+
+Respond ONLY with a JSON object in this format:
+{
+  "themeName": "2-4 word theme name",
+  "category": "Technical|Product|Business|Developer Experience|Infrastructure|Enterprise",
+  "keywords": ["keyword1", "keyword2", "keyword3"]
+}`;
+
     try {
-      let text = '';
-      
-      if (response.response) {
-        text = response.response;
-      } else if (Array.isArray(response)) {
-        text = response[0]?.response || '';
-      } else if (typeof response === 'string') {
-        text = response;
+      const response = await this.ai.run('@cf/meta/llama-3-8b-instruct', {
+        messages: [
+          { role: 'system', content: `You are a product feedback analysis expert. Always respond with valid JSON only. ${UNTRUSTED_TEXT_RULE}` },
+          { role: 'user', content: prompt }
+        ],
+        temperature: 0.3,
+        max_tokens: 200
+      });
+
+      const result = this.parseAIResponse(response);
+      const fallback = this.inferLabelFromTexts(sampleTexts);
+      const keywords = Array.isArray(result.keywords)
+        ? result.keywords.map(k => String(k).trim().toLowerCase()).filter(Boolean)
+        : [];
+
+      return {
+        themeName: typeof result.themeName === 'string' && result.themeName.trim()
+          ? result.themeName.trim().slice(0, 60)
+          : fallback.themeName,
+        category: typeof result.category === 'string' ? result.category.trim() : fallback.category,
+        keywords: keywords.length > 0 ? keywords.slice(0, 8) : fallback.keywords
+      };
+    } catch (error) {
+      console.error('Theme label error:', error);
+      return this.inferLabelFromTexts(sampleTexts);
+    }
+  }
+
+  /**
+   * Run a JSON prompt and validate the answer against a schema (analysis-schema.js)
+   * Invalid answers get one repair re-prompt listing the problems; fields that are
+   * still invalid after that use their fallback, the rest of the answer is kept
+   * fallbacks: { field: () => value } for every schema field
+   * Returns: { value, validation }
+   *   validation: { prompt, invalid, repaired, unusable, errors, invalidFields, coercedFields, repairedFields, fallbackFields }
+   */
+  async runValidated(prompt, messages, settings, schema, fallbacks) {
+    const response = await this.ai.run(ANALYSIS_MODEL, { messages, ...settings });
+    const first = this.validateResponse(response, schema);
+    const attempts = [first];
+
+    if (first.errors.length > 0) {
+      try {
+        const repairMessages = [
+          ...messages,
+          { role: 'assistant', content: this.extractTextFromResponse(response) || '(empty response)' },
+          {
+            role: 'user',
+            content: `Your answer did not match the required format:\n${describeErrors(first.errors, schema)}\n\nRespond again with the corrected JSON object only, using exactly the allowed values.`
+          }
+        ];
+        const repair = await this.ai.run(ANALYSIS_MODEL, { messages: repairMessages, ...settings });
+        attempts.unshift(this.validateResponse(repair, schema));
+      } catch (error) {
+        console.error('Repair prompt error:', error);
       }
+    }
+
+    const hasError = (attempt, field) => attempt.errors.some(e => e.field === field || e.field === '(response)');
+    const invalidFields = [...new Set(first.errors.map(e => e.field))];
+    const validation = {
+      prompt,
+      invalid: first.errors.length > 0,
+      repaired: attempts.length > 1 && attempts[0].errors.length === 0,
+      unusable: false,
+      errors: first.errors.map(e => `${e.field} ${e.message}`),
+      invalidFields,
+      coercedFields: [],
+      repairedFields: [],
+      fallbackFields: []
+    };
 
-      // Extract JSON from markdown code blocks if present
-      const jsonMatch = text.match(/```json\n?([\s\S]*?)\n?```/) || text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        text = jsonMatch[1] || jsonMatch[0];
+    // Per field: a clean value (repair first), then a partly valid one, then the fallback
+    const value = {};
+    for (const [field, rule] of Object.entries(schema)) {
+      const clean = attempts.find(attempt => field in attempt.value && !hasError(attempt, field));
+      const partial = attempts.find(attempt => field in attempt.value);
+      const chosen = clean || partial;
+
+      if (chosen) {
+        value[field] = chosen.value[field];
+        if (chosen.coerced.includes(field)) validation.coercedFields.push(field);
+        if (clean && clean !== first && hasError(first, field)) validation.repairedFields.push(field);
+      } else {
+        value[field] = fallbacks[field]();
+        // A missing optional field (e.g. confidence) just takes its default
+        if (rule.required || attempts.some(attempt => hasError(attempt, field))) {
+          validation.fallbackFields.push(field);
+        }
       }
+    }
 
-      return JSON.parse(text.trim());
-    } catch (error) {
-      console.error('Parse error:', error, 'Response:', response);
+    const required = Object.keys(schema).filter(field => schema[field].required);
+    validation.unusable = required.every(field => validation.fallbackFields.includes(field));
+    if (validation.invalid) {
+      console.log(`AI ${prompt} output failed validation:`, JSON.stringify(validation));
+    }
+
+    return { value, validation };
+  }
+
+  /**
+   * Parse and validate one model response
+   * Returns: validateOutput() result, with a '(response)' error when no JSON object was found
+   */
+  validateResponse(response, schema) {
+    const parsed = this.extractJSON(this.extractTextFromResponse(response));
+    if (parsed === null) {
+      return { value: {}, errors: [{ field: '(response)', message: 'is not a JSON object' }], coerced: [] };
+    }
+    return validateOutput(parsed, schema, { themes: this.themes });
+  }
+
+  /**
+   * Parse AI response (handles various formats)
+   * Returns: the JSON object, or {} when there is none
+   */
+  parseAIResponse(response) {
+    const parsed = this.extractJSON(this.extractTextFromResponse(response));
+    if (parsed === null) {
+      console.error('Parse error - no JSON object in response:', response);
       return {};
     }
+    return parsed;
+  }
+
+  /**
+   * First JSON object in model text: a ```json block, the whole text,
+   * or the first balanced {...} that parses (prose around it is ignored)
+   * Returns: object or null
+   */
+  extractJSON(text) {
+    if (typeof text !== 'string' || !text.trim()) return null;
+
+    const candidates = [];
+    const block = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (block) candidates.push(block[1]);
+    candidates.push(text);
+
+    for (const candidate of candidates) {
+      const parsed = tryParseObject(candidate.trim());
+      if (parsed) return parsed;
+
+      for (let start = candidate.indexOf('{'); start !== -1; start = candidate.indexOf('{', start + 1)) {
+        const end = matchingBrace(candidate, start);
+        if (end === -1) continue;
+        const inner = tryParseObject(candidate.slice(start, end + 1));
+        if (inner) return inner;
+      }
+    }
+
+    return null;
   }
 
   /**
    * Extract text from AI response
    */
   extractTextFromResponse(response) {
+    if (!response) return '';
     if (typeof response === 'string') return response;
-    if (response.response) return response.response;
+    if (typeof response.response === 'string') return response.response;
+    if (response.response && typeof response.response === 'object') return JSON.stringify(response.response);
     if (Array.isArray(response)) return response[0]?.response || '';
     return '';
   }
 
   /**
    * Fallback analysis when AI fails
+   * fallback: true lets callers (e.g. the background queue) retry later
    */
   getFallbackAnalysis(feedbackText) {
     return {
-      themes: [this.inferThemeFromKeywords(feedbackText)],
+      themes: [this.inferThemeFromKeywords(feedbackText)].filter(Boolean),
       sentiment: this.inferSentiment(feedbackText),
       urgency: this.inferUrgency(feedbackText),
       summary: feedbackText.slice(0, 150) + '...',
       valueScore: 5,
-      confidence: 0.5
+      confidence: 0.5,
+      fallback: true
     };
   }
 
@@ -246,51 +460,88 @@ Keep it concise (3-4 sentences).`;
       urgency: this.inferUrgency(feedbackText),
       summary: feedbackText.slice(0, 150) + '...',
       valueScore: 5,
-      confidence: 0.5
+      confidence: 0.5,
+      fallback: true
     };
   }
 
+  /**
+   * Prompt list of theme names from the taxonomy
+   */
+  formatThemeList() {
+    return this.themes.map(theme => {
+      const hints = theme.keywords?.length ? ` [${theme.keywords.slice(0, 5).join(', ')}]` : '';
+      return `- ${theme.name}${hints}`;
+    }).join('\n');
+  }
+
+  /**
+   * Few-shot block from analyst corrections ('' when there are none)
+   * kind: 'themes' or 'sentiment'
+   */
+  formatExamples(kind) {
+    const examples = this.examples[kind] || [];
+    if (examples.length === 0) return '';
+
+    const lines = examples.map(example => {
+      const labels = kind === 'themes'
+        ? { themes: example.themes }
+        : { sentiment: example.sentiment, urgency: example.urgency, valueScore: example.valueScore };
+      return `${delimit(example.text)}\n${JSON.stringify(labels)}`;
+    });
+
+    return `\nAnalysts corrected these earlier labels - follow the same judgement:\n${lines.join('\n\n')}\n`;
+  }
+
   /**
    * Keyword-based theme inference (fallback)
+   * Picks the taxonomy theme with the most keyword hits (ties go to the earlier theme)
+   * Returns: theme name, or null when no keyword matches (the item stays untagged for discovery)
    */
   inferThemeFromKeywords(text) {
     const lowerText = text.toLowerCase();
-    
-    if (lowerText.includes('rate limit') || lowerText.includes('429')) {
-      return 'API Rate Limits';
-    }
-    if (lowerText.includes('documentation') || lowerText.includes('docs') || lowerText.includes('unclear')) {
-      return 'Documentation Quality';
-    }
-    if (lowerText.includes('slow') || lowerText.includes('latency') || lowerText.includes('performance')) {
-      return 'Performance Issues';
-    }
-    if (lowerText.includes('billing') || lowerText.includes('cost') || lowerText.includes('price')) {
-      return 'Billing Concerns';
-    }
-    if (lowerText.includes('websocket') || lowerText.includes('ws')) {
-      return 'WebSocket Support';
-    }
-    if (lowerText.includes('cold start')) {
-      return 'Cold Start Latency';
-    }
-    if (lowerText.includes('typescript') || lowerText.includes('types')) {
-      return 'TypeScript Support';
-    }
-    if (lowerText.includes('mobile') || lowerText.includes('ios') || lowerText.includes('android')) {
-      return 'Mobile SDK';
-    }
-    if (lowerText.includes('security') || lowerText.includes('compliance') || lowerText.includes('soc2')) {
-      return 'Security/Compliance';
-    }
-    if (lowerText.includes('love') || lowerText.includes('great') || lowerText.includes('amazing')) {
-      return 'Positive Feedback';
-    }
-    if (lowerText.includes('request') || lowerText.includes('feature') || lowerText.includes('please add')) {
-      return 'Feature Request';
+    let best = null;
+    let bestHits = 0;
+
+    for (const theme of this.themes) {
+      const hits = (theme.keywords || []).filter(keyword => containsKeyword(lowerText, keyword)).length;
+      if (hits > bestHits) {
+        best = theme.name;
+        bestHits = hits;
+      }
     }
     
-    return 'General Feedback';
+    return best;
+  }
+
+  /**
+   * Frequent-term theme label (fallback)
+   */
+  inferLabelFromTexts(texts) {
+    const stopWords = new Set([
+      'the', 'and', 'for', 'that', 'this', 'with', 'are', 'was', 'but', 'not', 'have', 'has',
+      'you', 'your', 'our', 'can', 'cant', 'when', 'from', 'any', 'all', 'its', 'just', 'get',
+      'been', 'would', 'there', 'what', 'how', 'why', 'they', 'them', 'will', 'into', 'out',
+      'cloudflare', 'please', 'thanks', 'still', 'even', 'than', 'then', 'also', 'very'
+    ]);
+    const counts = {};
+
+    for (const text of texts) {
+      const words = new Set(text.toLowerCase().match(/[a-z][a-z0-9-]{2,}/g) || []);
+      for (const word of words) {
+        if (!stopWords.has(word)) counts[word] = (counts[word] || 0) + 1;
+      }
+    }
+
+    const keywords = Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([word]) => word);
+    const themeName = keywords.slice(0, 2)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ') || 'Unlabeled Cluster';
+
+    return { themeName, category: 'Emerging', keywords };
   }
 
   /**
@@ -342,11 +593,53 @@ Keep it concise (3-4 sentences).`;
   }
 }
 
+/**
+ * Helper: Parse text as a JSON object (null for anything else)
+ */
+function tryParseObject(text) {
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Helper: Index of the brace closing the one at start (-1 if unbalanced), skipping strings
+ */
+function matchingBrace(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Helper: Keyword match at a word start, so "ws" doesn't match "news"
+ */
+function containsKeyword(lowerText, keyword) {
+  const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}`).test(lowerText);
+}
+
 /**
  * Batch process multiple feedback items
  */
-export async function batchAnalyzeFeedback(feedbackItems, aiBinding, batchSize = 5) {
-  const agent = new FeedbackAnalysisAgent(aiBinding);
+export async function batchAnalyzeFeedback(feedbackItems, aiBinding, batchSize = 5, options = {}) {
+  const agent = new FeedbackAnalysisAgent(aiBinding, options);
   const results = [];
   
   // Process in batches to avoid rate limits
@@ -0,0 +1,414 @@
+// ============================================
+// ALERTS MODULE
+// Spike detection per theme and product: recent volume and negative-sentiment share
+// against a rolling baseline. Anomalies are stored in the alerts table and posted to
+// the webhooks in ALERT_WEBHOOK_URLS (Slack-compatible payloads, retried with backoff)
+// ============================================
+
+import { fnv1a } from './hash.js';
+
+export const ALERT_KINDS = ['volume_spike', 'negative_share'];
+export const ALERT_STATUSES = ['open', 'acknowledged'];
+
+/**
+ * Detection defaults (POST /api/alerts/detect can override them)
+ *   windowHours: the recent window; baselineDays: the history before it
+ *   minCount: fewer recent items than this never alert
+ *   spikeRatio: recent count vs the baseline expected for the window (at least 1)
+ *   minShareIncrease / minShare: negative share jump (fraction) and the share it must reach
+ */
+export const ALERT_DEFAULTS = {
+  windowHours: 24,
+  baselineDays: 14,
+  minCount: 5,
+  spikeRatio: 3,
+  minShareIncrease: 0.25,
+  minShare: 0.5
+};
+
+// Webhook delivery: quick retries inside one run, then later runs with backoff
+export const MAX_WEBHOOK_ATTEMPTS = 5;
+const WEBHOOK_RETRY_DELAYS = [1000, 3000];
+
+// Contributing feedback ids kept per alert
+const MAX_ALERT_FEEDBACK = 50;
+
+// Where each dimension's value comes from
+const DIMENSIONS = {
+  theme: {
+    label: 'Theme',
+    join: `JOIN feedback_themes ft ON fm.feedback_id = ft.feedback_id
+      JOIN themes t ON ft.theme_id = t.theme_id AND t.status = 'active'`,
+    expr: 't.theme_name'
+  },
+  product: {
+    label: 'Product',
+    join: 'JOIN product_areas pa ON fm.product_area_id = pa.product_area_id',
+    expr: 'pa.product_name'
+  }
+};
+
+const ANALYZED = `sa.model_used IS NOT NULL AND sa.model_used != 'pending'`;
+const NEGATIVE = `${ANALYZED} AND sa.sentiment IN ('Negative', 'Frustrated')`;
+
+/**
+ * Compare the recent window with the baseline, store new alerts and send them
+ * options: ALERT_DEFAULTS fields, asOf (end of the recent window, default now), notify (default true)
+ * An anomaly that already has an alert overlapping the window is not raised again
+ * Returns: { as_of, window: { start, end }, baseline: { start, end }, checked, alerts, suppressed, delivery }
+ */
+export async function detectAnomalies(env, options = {}) {
+  const settings = { ...ALERT_DEFAULTS, ...options };
+  const end = options.asOf ? new Date(options.asOf) : new Date();
+  const windowStart = new Date(end.getTime() - settings.windowHours * 3600000);
+  const baselineStart = new Date(windowStart.getTime() - settings.baselineDays * 86400000);
+  const bounds = { end: end.toISOString(), windowStart: windowStart.toISOString(), baselineStart: baselineStart.toISOString() };
+
+  // Expected recent count = baseline rate scaled to the window
+  const windowShare = settings.windowHours / (settings.baselineDays * 24);
+
+  // Without webhooks alerts are only listed (and not sent once webhooks are added later)
+  const webhookStatus = webhookUrls(env).length > 0 ? 'pending' : 'none';
+
+  const summary = {
+    as_of: bounds.end,
+    window: { start: bounds.windowStart, end: bounds.end },
+    baseline: { start: bounds.baselineStart, end: bounds.windowStart },
+    checked: 0,
+    alerts: [],
+    suppressed: 0
+  };
+
+  for (const [dimension, source] of Object.entries(DIMENSIONS)) {
+    const result = await env.DB.prepare(`
+      SELECT
+        ${source.expr} AS value,
+        SUM(CASE WHEN fm.created_date >= ?1 THEN 1 ELSE 0 END) AS recent_count,
+        SUM(CASE WHEN fm.created_date < ?1 THEN 1 ELSE 0 END) AS baseline_count,
+        SUM(CASE WHEN fm.created_date >= ?1 AND ${ANALYZED} THEN 1 ELSE 0 END) AS recent_analyzed,
+        SUM(CASE WHEN fm.created_date >= ?1 AND ${NEGATIVE} THEN 1 ELSE 0 END) AS recent_negative,
+        SUM(CASE WHEN fm.created_date < ?1 AND ${ANALYZED} THEN 1 ELSE 0 END) AS baseline_analyzed,
+        SUM(CASE WHEN fm.created_date < ?1 AND ${NEGATIVE} THEN 1 ELSE 0 END) AS baseline_negative
+      FROM feedback_master fm
+      ${source.join}
+      LEFT JOIN sentiment_analysis sa ON fm.feedback_id = sa.feedback_id
+      WHERE fm.created_date >= ?2 AND fm.created_date < ?3
+      GROUP BY value
+    `).bind(bounds.windowStart, bounds.baselineStart, bounds.end).all();
+
+    for (const row of result.results || []) {
+      summary.checked++;
+      for (const anomaly of findAnomalies(row, settings, windowShare)) {
+        const alert = await recordAlert(env.DB, { ...anomaly, dimension, value: row.value }, bounds, source, webhookStatus);
+        if (alert) summary.alerts.push(alert);
+        else summary.suppressed++;
+      }
+    }
+  }
+
+  if (options.notify !== false && summary.alerts.length > 0) {
+    summary.delivery = await deliverAlerts(env, options);
+  }
+
+  return summary;
+}
+
+/**
+ * Send alerts that are waiting for their webhooks (new ones and retries that are due)
+ * Each URL in ALERT_WEBHOOK_URLS gets the alert once; failures back off 2, 4, 8... minutes (max 60)
+ * options.fetcher: fetch implementation (tests, local runs)
+ * Returns: { sent, retrying, failed }
+ */
+export async function deliverAlerts(env, { fetcher = globalThis.fetch, retryDelays = WEBHOOK_RETRY_DELAYS } = {}) {
+  const urls = webhookUrls(env);
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+  if (urls.length === 0) return summary;
+
+  const due = await env.DB.prepare(`
+    SELECT * FROM alerts
+    WHERE webhook_status = 'pending'
+      AND (next_attempt_at IS NULL OR next_attempt_at <= datetime('now'))
+    ORDER BY alert_id
+    LIMIT 25
+  `).all();
+
+  for (const row of due.results || []) {
+    const alert = formatAlert(row);
+    const payload = buildWebhookPayload(alert);
+    const delivered = new Set(parseList(row.webhook_delivered));
+    const errors = [];
+
+    for (const url of urls.filter(url => !delivered.has(urlKey(url)))) {
+      const error = await postWebhook(fetcher, url, payload, retryDelays);
+      if (error) errors.push(`${redactUrl(url)}: ${error}`);
+      else delivered.add(urlKey(url));
+    }
+
+    if (errors.length === 0) {
+      summary.sent++;
+      await env.DB.prepare(`
+        UPDATE alerts
+        SET webhook_status = 'sent', webhook_attempts = webhook_attempts + 1, webhook_delivered = ?,
+            webhook_error = NULL, next_attempt_at = NULL, notified_at = datetime('now')
+        WHERE alert_id = ?
+      `).bind(JSON.stringify([...delivered]), alert.alert_id).run();
+      continue;
+    }
+
+    const attempts = alert.webhook.attempts + 1;
+    const gaveUp = attempts >= MAX_WEBHOOK_ATTEMPTS;
+    if (gaveUp) summary.failed++;
+    else summary.retrying++;
+    console.error(`Alert ${alert.alert_id} webhook failed (attempt ${attempts}):`, errors.join('; '));
+
+    await env.DB.prepare(`
+      UPDATE alerts
+      SET webhook_status = ?, webhook_attempts = ?, webhook_delivered = ?, webhook_error = ?,
+          next_attempt_at = datetime('now', ?)
+      WHERE alert_id = ?
+    `).bind(
+      gaveUp ? 'failed' : 'pending',
+      attempts,
+      JSON.stringify([...delivered]),
+      errors.join('; ').slice(0, 500),
+      `+${Math.min(60, 2 ** attempts)} minutes`,
+      alert.alert_id
+    ).run();
+  }
+
+  return summary;
+}
+
+/**
+ * Slack incoming-webhook payload (text + blocks); other receivers can read alert
+ */
+export function buildWebhookPayload(alert) {
+  const dimension = DIMENSIONS[alert.dimension].label.toLowerCase();
+  const text = alert.kind === 'volume_spike'
+    ? `:rotating_light: Spike in ${dimension} "${alert.dimension_value}": ${alert.recent_count} feedback items ` +
+      `since ${alert.window_start.slice(0, 16).replace('T', ' ')} UTC (expected about ${alert.expected})`
+    : `:rotating_light: Negative feedback share for ${dimension} "${alert.dimension_value}" is ${percent(alert.observed)} ` +
+      `(baseline ${percent(alert.expected)}, ${alert.recent_count} recent items)`;
+
+  const ids = alert.feedback_ids.slice(0, 10).map(id => `#${id}`).join(', ');
+
+  return {
+    text,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text } },
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: `Alert ${alert.alert_id} · feedback ${ids}${alert.feedback_ids.length > 10 ? ` and ${alert.feedback_ids.length - 10} more` : ''}`
+        }]
+      }
+    ],
+    alert: {
+      alert_id: alert.alert_id,
+      kind: alert.kind,
+      dimension: alert.dimension,
+      value: alert.dimension_value,
+      observed: alert.observed,
+      expected: alert.expected,
+      recent_count: alert.recent_count,
+      window_start: alert.window_start,
+      window_end: alert.window_end,
+      feedback_ids: alert.feedback_ids
+    }
+  };
+}
+
+/**
+ * List alerts, newest first
+ * status: 'open', 'acknowledged' or null for all
+ */
+export async function listAlerts(db, { status = 'open', limit = 50 } = {}) {
+  const result = await db.prepare(`
+    SELECT * FROM alerts
+    WHERE ?1 IS NULL OR status = ?1
+    ORDER BY alert_id DESC
+    LIMIT ?2
+  `).bind(status, limit).all();
+
+  return (result.results || []).map(formatAlert);
+}
+
+/**
+ * Get a single alert
+ */
+export async function getAlert(db, alertId) {
+  const row = await db.prepare(`SELECT * FROM alerts WHERE alert_id = ?`).bind(alertId).first();
+  return row ? formatAlert(row) : null;
+}
+
+/**
+ * Acknowledge an open alert
+ * Returns: the updated alert
+ */
+export async function acknowledgeAlert(db, alert, { acknowledgedBy = null, note = null } = {}) {
+  const row = await db.prepare(`
+    UPDATE alerts
+    SET status = 'acknowledged', acknowledged_by = ?, acknowledgement_note = ?, acknowledged_at = datetime('now')
+    WHERE alert_id = ?
+    RETURNING *
+  `).bind(acknowledgedBy, note, alert.alert_id).first();
+  return formatAlert(row);
+}
+
+/**
+ * Webhook URLs from ALERT_WEBHOOK_URLS (comma or whitespace separated)
+ */
+export function webhookUrls(env) {
+  return String(env.ALERT_WEBHOOK_URLS || '')
+    .split(/[\s,]+/)
+    .filter(url => /^https?:\/\//i.test(url));
+}
+
+/**
+ * Helper: Anomalies in one theme / product row
+ * Returns: [{ kind, observed, expected }]
+ */
+function findAnomalies(row, settings, windowShare) {
+  const anomalies = [];
+
+  // New topics have no baseline - expect at least one item so a handful can still spike
+  const expected = Math.max(1, row.baseline_count * windowShare);
+  if (row.recent_count >= settings.minCount && row.recent_count >= expected * settings.spikeRatio) {
+    anomalies.push({ kind: 'volume_spike', observed: row.recent_count, expected: round(expected), ...row });
+  }
+
+  // Shares only count analyzed feedback (pending placeholders say Neutral)
+  if (row.recent_analyzed >= settings.minCount) {
+    const share = row.recent_negative / row.recent_analyzed;
+    const baselineShare = row.baseline_analyzed > 0 ? row.baseline_negative / row.baseline_analyzed : 0;
+    if (share >= settings.minShare && share - baselineShare >= settings.minShareIncrease) {
+      anomalies.push({ kind: 'negative_share', observed: round(share), expected: round(baselineShare), ...row });
+    }
+  }
+
+  return anomalies;
+}
+
+/**
+ * Helper: Store an alert with the feedback behind it
+ * Returns: the alert, or null when an alert for the same anomaly overlaps this window
+ */
+async function recordAlert(db, anomaly, bounds, source, webhookStatus) {
+  const existing = await db.prepare(`
+    SELECT alert_id FROM alerts
+    WHERE kind = ? AND dimension = ? AND dimension_value = ? AND window_end > ?
+  `).bind(anomaly.kind, anomaly.dimension, anomaly.value, bounds.windowStart).first();
+  if (existing) return null;
+
+  // Negative-share alerts point at the negative items; spikes at everything recent
+  const ids = await db.prepare(`
+    SELECT DISTINCT fm.feedback_id
+    FROM feedback_master fm
+    ${source.join}
+    LEFT JOIN sentiment_analysis sa ON fm.feedback_id = sa.feedback_id
+    WHERE ${source.expr} = ? AND fm.created_date >= ? AND fm.created_date < ?
+      ${anomaly.kind === 'negative_share' ? `AND ${NEGATIVE}` : ''}
+    ORDER BY fm.urgency_score DESC, fm.feedback_id DESC
+    LIMIT ?
+  `).bind(anomaly.value, bounds.windowStart, bounds.end, MAX_ALERT_FEEDBACK).all();
+
+  const row = await db.prepare(`
+    INSERT INTO alerts (
+      kind, dimension, dimension_value, window_start, window_end,
+      observed, expected, recent_count, baseline_count, feedback_ids, webhook_status
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    RETURNING *
+  `).bind(
+    anomaly.kind,
+    anomaly.dimension,
+    anomaly.value,
+    bounds.windowStart,
+    bounds.end,
+    anomaly.observed,
+    anomaly.expected,
+    anomaly.recent_count,
+    anomaly.baseline_count,
+    JSON.stringify((ids.results || []).map(r => r.feedback_id)),
+    webhookStatus
+  ).first();
+
+  return formatAlert(row);
+}
+
+/**
+ * Helper: POST one payload, retrying network errors, 429 and 5xx a few times
+ * Returns: null on success, otherwise the last error message
+ */
+async function postWebhook(fetcher, url, payload, retryDelays) {
+  let lastError = null;
+  for (let attempt = 0; attempt <= retryDelays.length; attempt++) {
+    if (attempt > 0) await new Promise(resolve => setTimeout(resolve, retryDelays[attempt - 1]));
+    try {
+      const response = await fetcher(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (response.ok) return null;
+      lastError = `HTTP ${response.status}`;
+      // Other 4xx won't succeed on a retry (bad URL, revoked webhook)
+      if (response.status < 500 && response.status !== 429) return lastError;
+    } catch (error) {
+      lastError = error.message;
+    }
+  }
+  return lastError;
+}
+
+/**
+ * Helper: Webhook URLs carry their secret in the path - store a hash of the URL
+ * to remember deliveries, and keep only the host in errors
+ */
+function urlKey(url) {
+  return fnv1a(url).toString(36);
+}
+
+function redactUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return 'webhook';
+  }
+}
+
+function formatAlert(row) {
+  const {
+    feedback_ids, webhook_status, webhook_attempts, webhook_delivered, webhook_error, next_attempt_at, notified_at,
+    ...alert
+  } = row;
+  return {
+    ...alert,
+    feedback_ids: parseList(feedback_ids),
+    webhook: {
+      status: webhook_status,
+      attempts: webhook_attempts || 0,
+      delivered: parseList(webhook_delivered).length,
+      last_error: webhook_error,
+      next_attempt_at,
+      notified_at
+    }
+  };
+}
+
+function parseList(value) {
+  try {
+    const list = JSON.parse(value || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function percent(value) {
+  return `${Math.round(value * 100)}%`;
+}
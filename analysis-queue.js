@@ -0,0 +1,302 @@
+// ============================================
+// ANALYSIS QUEUE MODULE
+// Background AI analysis for feedback stored with a 'pending' placeholder
+// Runs from the cron trigger and POST /api/analyze/pending
+// ============================================
+
+import { batchAnalyzeFeedback, ANALYSIS_MODEL } from './ai-agent.js';
+import { loadThemeTaxonomy } from './themes.js';
+import { getCorrectedFields, getCurrentLabels, loadCorrectionExamples } from './label-corrections.js';
+
+// After this many failed attempts an item stays 'failed' until retried manually
+export const MAX_ANALYSIS_ATTEMPTS = 5;
+
+// Stats window for GET /api/analyze/quality
+const MAX_STATS_DAYS = 90;
+
+/**
+ * Analyze the next batch of pending feedback
+ * Returns: { picked, analyzed, retrying, failed, invalid_outputs }
+ */
+export async function runPendingAnalysis(env, { limit = 25, batchSize = 5, retryFailed = false } = {}) {
+  if (retryFailed) {
+    await env.DB.prepare(`
+      UPDATE sentiment_analysis
+      SET attempts = 0, next_attempt_at = NULL
+      WHERE model_used = 'pending' AND attempts >= ?
+    `).bind(MAX_ANALYSIS_ATTEMPTS).run();
+  }
+
+  // Most urgent first, skipping items that are still backing off
+  const pending = await env.DB.prepare(`
+    SELECT
+      sa.analysis_id,
+      sa.attempts,
+      fm.feedback_id,
+      fm.feedback_text,
+      u.customer_tier,
+      s.source_name
+    FROM sentiment_analysis sa
+    JOIN feedback_master fm ON sa.feedback_id = fm.feedback_id
+    LEFT JOIN users u ON fm.user_id = u.user_id
+    LEFT JOIN sources s ON fm.source_id = s.source_id
+    WHERE sa.model_used = 'pending'
+      AND sa.attempts < ?
+      AND (sa.next_attempt_at IS NULL OR sa.next_attempt_at <= datetime('now'))
+    ORDER BY fm.urgency_score DESC, sa.analysis_id
+    LIMIT ?
+  `).bind(MAX_ANALYSIS_ATTEMPTS, limit).all();
+
+  const items = pending.results || [];
+  const summary = { picked: items.length, analyzed: 0, retrying: 0, failed: 0, invalid_outputs: 0 };
+  if (items.length === 0) return summary;
+
+  // Same throttled batching as bulk analysis, with the live theme taxonomy
+  // and analysts' recent corrections as examples
+  const [themes, examples] = await Promise.all([
+    loadThemeTaxonomy(env.DB),
+    loadCorrectionExamples(env.DB)
+  ]);
+  const analyses = await batchAnalyzeFeedback(
+    items.map(item => ({
+      feedback_text: item.feedback_text,
+      customer_tier: item.customer_tier,
+      source: item.source_name
+    })),
+    env.AI,
+    batchSize,
+    { themes, examples }
+  );
+  summary.invalid_outputs = await recordValidation(env.DB, analyses);
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const analysis = analyses[i];
+
+    try {
+      // Keyword fallbacks mean Workers AI failed (rate limit, timeout) - try again later
+      if (analysis.fallback) {
+        throw new Error('Workers AI unavailable - keyword fallback used');
+      }
+      await saveAnalysis(env.DB, item.feedback_id, analysis);
+      summary.analyzed++;
+    } catch (error) {
+      const attempts = (item.attempts || 0) + 1;
+      await recordFailure(env.DB, item.analysis_id, attempts, error.message);
+
+      if (attempts >= MAX_ANALYSIS_ATTEMPTS) summary.failed++;
+      else summary.retrying++;
+    }
+  }
+
+  console.log('Pending analysis run:', JSON.stringify(summary));
+  return summary;
+}
+
+/**
+ * Progress counts for the progress endpoint; pending / retrying / done / failed don't overlap
+ *   pending: not tried yet; retrying: failed, waiting for another attempt; failed: out of attempts
+ */
+export async function getAnalysisProgress(db) {
+  const counts = await db.prepare(`
+    SELECT
+      COUNT(*) as total,
+      COUNT(CASE WHEN model_used != 'pending' THEN 1 END) as done,
+      COUNT(CASE WHEN model_used = 'pending' AND attempts = 0 THEN 1 END) as pending,
+      COUNT(CASE WHEN model_used = 'pending' AND attempts > 0 AND attempts < ? THEN 1 END) as retrying,
+      COUNT(CASE WHEN model_used = 'pending' AND attempts >= ? THEN 1 END) as failed
+    FROM sentiment_analysis
+  `).bind(MAX_ANALYSIS_ATTEMPTS, MAX_ANALYSIS_ATTEMPTS).first();
+
+  const recentFailures = await db.prepare(`
+    SELECT feedback_id, attempts, last_error, next_attempt_at
+    FROM sentiment_analysis
+    WHERE model_used = 'pending' AND attempts > 0
+    ORDER BY attempts DESC, analysis_id
+    LIMIT 10
+  `).all();
+
+  return { ...counts, recent_failures: recentFailures.results || [] };
+}
+
+/**
+ * Add the validation reports of analyses (analyzeFeedback().validation) to the daily counts
+ * One ai_validation_stats row per day, prompt and field; field '*' counts whole responses
+ * Returns: number of responses that failed validation on the first answer
+ */
+export async function recordValidation(db, analyses) {
+  const day = new Date().toISOString().slice(0, 10);
+  const rows = new Map();
+  const row = (prompt, field) => {
+    const key = `${prompt}:${field}`;
+    if (!rows.has(key)) {
+      rows.set(key, { prompt, field, checked: 0, invalid: 0, coerced: 0, repaired: 0, fallback: 0, lastError: null });
+    }
+    return rows.get(key);
+  };
+
+  let invalid = 0;
+  for (const report of analyses.flatMap(analysis => analysis?.validation || [])) {
+    const total = row(report.prompt, '*');
+    total.checked++;
+    if (report.invalid) {
+      invalid++;
+      total.invalid++;
+      total.lastError = report.errors.join('; ').slice(0, 500);
+    }
+    if (report.repaired) total.repaired++;
+    if (report.fallbackFields.length > 0) total.fallback++;
+    if (report.coercedFields.length > 0) total.coerced++;
+
+    for (const field of report.invalidFields) row(report.prompt, field).invalid++;
+    for (const field of report.coercedFields) row(report.prompt, field).coerced++;
+    for (const field of report.repairedFields) row(report.prompt, field).repaired++;
+    for (const field of report.fallbackFields) row(report.prompt, field).fallback++;
+  }
+
+  if (rows.size === 0) return 0;
+
+  await db.batch([...rows.values()].map(r => db.prepare(`
+    INSERT INTO ai_validation_stats (day, prompt, field, checked, invalid, coerced, repaired, fallback, last_error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (day, prompt, field) DO UPDATE SET
+      checked = checked + excluded.checked,
+      invalid = invalid + excluded.invalid,
+      coerced = coerced + excluded.coerced,
+      repaired = repaired + excluded.repaired,
+      fallback = fallback + excluded.fallback,
+      last_error = COALESCE(excluded.last_error, last_error),
+      updated_at = datetime('now')
+  `).bind(day, r.prompt, r.field, r.checked, r.invalid, r.coerced, r.repaired, r.fallback, r.lastError)));
+
+  return invalid;
+}
+
+/**
+ * Model output quality over the last N days, for monitoring
+ * Returns: { days, prompts: [...], fields: [...], daily: [...], recent_errors: [...] }
+ *   rates are per validated response: invalid_rate (first answer), fallback_rate (after repair)
+ */
+export async function getValidationStats(db, days = 7) {
+  const window = Math.min(MAX_STATS_DAYS, Math.max(1, parseInt(days) || 7));
+  const since = `-${window - 1} days`;
+
+  const [prompts, fields, daily, errors] = await Promise.all([
+    db.prepare(`
+      SELECT prompt, SUM(checked) as checked, SUM(invalid) as invalid, SUM(coerced) as coerced,
+             SUM(repaired) as repaired, SUM(fallback) as fallback
+      FROM ai_validation_stats
+      WHERE field = '*' AND day >= date('now', ?)
+      GROUP BY prompt
+      ORDER BY prompt
+    `).bind(since).all(),
+    db.prepare(`
+      SELECT prompt, field, SUM(invalid) as invalid, SUM(coerced) as coerced,
+             SUM(repaired) as repaired, SUM(fallback) as fallback
+      FROM ai_validation_stats
+      WHERE field != '*' AND day >= date('now', ?)
+      GROUP BY prompt, field
+      ORDER BY invalid DESC, prompt, field
+    `).bind(since).all(),
+    db.prepare(`
+      SELECT day, SUM(checked) as checked, SUM(invalid) as invalid, SUM(fallback) as fallback
+      FROM ai_validation_stats
+      WHERE field = '*' AND day >= date('now', ?)
+      GROUP BY day
+      ORDER BY day
+    `).bind(since).all(),
+    db.prepare(`
+      SELECT day, prompt, last_error
+      FROM ai_validation_stats
+      WHERE field = '*' AND last_error IS NOT NULL AND day >= date('now', ?)
+      ORDER BY updated_at DESC
+      LIMIT 10
+    `).bind(since).all()
+  ]);
+
+  const rate = (count, total) => (total > 0 ? Math.round(count / total * 1000) / 1000 : 0);
+
+  return {
+    days: window,
+    prompts: (prompts.results || []).map(p => ({
+      ...p,
+      invalid_rate: rate(p.invalid, p.checked),
+      fallback_rate: rate(p.fallback, p.checked)
+    })),
+    fields: fields.results || [],
+    daily: (daily.results || []).map(d => ({ ...d, invalid_rate: rate(d.invalid, d.checked) })),
+    recent_errors: errors.results || []
+  };
+}
+
+/**
+ * Store an AI analysis in the item's analysis row (the 'pending' placeholder or an earlier analysis)
+ * Labels an analyst has corrected are kept; the prompt-injection flag is replaced
+ */
+export async function saveAnalysis(db, feedbackId, analysis) {
+  const corrected = await getCorrectedFields(db, feedbackId);
+  const current = corrected.size > 0 ? await getCurrentLabels(db, feedbackId) : null;
+  const label = (field, value) => (current && corrected.has(field) ? current[field] : value);
+  const themes = label('themes', analysis.themes);
+
+  const injection = analysis.injection;
+  const values = [
+    label('sentiment', analysis.sentiment),
+    label('urgency', analysis.urgency),
+    label('value_score', analysis.valueScore),
+    analysis.summary,
+    JSON.stringify(themes),
+    ANALYSIS_MODEL,
+    analysis.confidence,
+    injection?.flagged ? 1 : 0,
+    injection?.flagged ? JSON.stringify({ signals: injection.signals, anomalies: injection.anomalies }) : null
+  ];
+
+  const updated = await db.prepare(`
+    UPDATE sentiment_analysis SET
+      sentiment = ?, urgency = ?, value_score = ?, ai_summary = ?,
+      extracted_themes = ?, model_used = ?, confidence_score = ?,
+      injection_flag = ?, injection_signals = ?,
+      attempts = 0, last_error = NULL, next_attempt_at = NULL,
+      analyzed_at = datetime('now')
+    WHERE feedback_id = ?
+  `).bind(...values, feedbackId).run();
+
+  if (!updated.meta?.changes) {
+    await db.prepare(`
+      INSERT INTO sentiment_analysis (
+        sentiment, urgency, value_score, ai_summary,
+        extracted_themes, model_used, confidence_score,
+        injection_flag, injection_signals, feedback_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(...values, feedbackId).run();
+  }
+
+  // Link themes (corrected theme links are already in place)
+  if (corrected.has('themes')) return;
+  for (const themeName of themes) {
+    const themeResult = await db.prepare(`
+      SELECT theme_id FROM themes WHERE theme_name = ? AND status = 'active'
+    `).bind(themeName).first();
+
+    if (themeResult) {
+      await db.prepare(`
+        INSERT OR IGNORE INTO feedback_themes (feedback_id, theme_id, confidence_score)
+        VALUES (?, ?, ?)
+      `).bind(feedbackId, themeResult.theme_id, analysis.confidence).run();
+    }
+  }
+}
+
+/**
+ * Helper: Record a failed attempt with exponential backoff (2, 4, 8... minutes, max 60)
+ */
+async function recordFailure(db, analysisId, attempts, message) {
+  const backoffMinutes = Math.min(60, 2 ** attempts);
+
+  await db.prepare(`
+    UPDATE sentiment_analysis
+    SET attempts = ?, last_error = ?, next_attempt_at = datetime('now', ?)
+    WHERE analysis_id = ?
+  `).bind(attempts, message, `+${backoffMinutes} minutes`, analysisId).run();
+}
@@ -0,0 +1,235 @@
+// ============================================
+// ANALYSIS SCHEMA MODULE
+// Typed schemas for the JSON the model returns (enums, numeric ranges, taxonomy themes)
+// Near misses are coerced ("high priority" -> High, "8/10" -> 8); anything else is
+// reported so the agent can re-prompt for a repair or fall back for that field
+// ============================================
+
+import { SENTIMENTS, URGENCY_LEVELS } from './feedback-query.js';
+
+// Words the model uses instead of the allowed values
+const SENTIMENT_SYNONYMS = {
+  happy: 'Positive', satisfied: 'Positive', pleased: 'Positive', appreciative: 'Positive', grateful: 'Positive',
+  unhappy: 'Negative', disappointed: 'Negative', dissatisfied: 'Negative', critical: 'Negative',
+  angry: 'Frustrated', annoyed: 'Frustrated', upset: 'Frustrated', irritated: 'Frustrated', furious: 'Frustrated',
+  mixed: 'Neutral', informational: 'Neutral', curious: 'Neutral'
+};
+
+const URGENCY_SYNONYMS = {
+  severe: 'Critical', blocker: 'Critical', blocking: 'Critical', emergency: 'Critical', urgent: 'Critical', p0: 'Critical',
+  important: 'High', major: 'High', p1: 'High',
+  moderate: 'Medium', normal: 'Medium', p2: 'Medium',
+  minor: 'Low', trivial: 'Low', none: 'Low', p3: 'Low'
+};
+
+// Words that flip the meaning of an allowed value or synonym after them ("not urgent")
+const NEGATORS = new Set(['not', 'non', 'no', "isn't", 'isnt', "aren't", "wasn't", 'never']);
+
+/**
+ * extractThemes() output
+ */
+export const THEMES_SCHEMA = {
+  themes: { type: 'themes', required: true, maxItems: 3 },
+  confidence: { type: 'number', min: 0, max: 1 }
+};
+
+/**
+ * analyzeSentimentAndUrgency() output
+ */
+export const SENTIMENT_SCHEMA = {
+  sentiment: { type: 'enum', required: true, values: SENTIMENTS, synonyms: SENTIMENT_SYNONYMS },
+  urgency: { type: 'enum', required: true, values: URGENCY_LEVELS, synonyms: URGENCY_SYNONYMS },
+  summary: { type: 'string', required: true, maxLength: 300 },
+  valueScore: { type: 'integer', required: true, min: 1, max: 10 },
+  confidence: { type: 'number', min: 0, max: 1 }
+};
+
+/**
+ * Validate parsed model output against a schema
+ * options.themes: taxonomy ([{ name }]) for 'themes' fields
+ * Returns: { value, errors, coerced }
+ *   value: { field: valid or coerced value } - a themes field can hold the known themes
+ *          even when unknown ones were reported, so they can still be used as a last resort
+ *   errors: [{ field, message }] - missing required fields and invalid values
+ *   coerced: [field] - fields that needed coercion to become valid
+ */
+export function validateOutput(output, schema, options = {}) {
+  const result = { value: {}, errors: [], coerced: [] };
+
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    result.errors.push({ field: '(response)', message: 'expected a JSON object' });
+    return result;
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = output[field];
+    if (raw === undefined || raw === null || raw === '') {
+      if (rule.required) result.errors.push({ field, message: 'is missing' });
+      continue;
+    }
+
+    const checked = checkField(raw, rule, options);
+    if (checked.value !== undefined) result.value[field] = checked.value;
+    if (checked.error) result.errors.push({ field, message: checked.error });
+    else if (checked.coerced) result.coerced.push(field);
+  }
+
+  return result;
+}
+
+/**
+ * Human-readable problem list for the repair prompt
+ */
+export function describeErrors(errors, schema) {
+  return errors.map(({ field, message }) => {
+    const rule = schema[field];
+    let expected = '';
+    if (rule?.type === 'enum') expected = ` (allowed: ${rule.values.join(', ')})`;
+    else if (rule?.type === 'integer') expected = ` (an integer from ${rule.min} to ${rule.max})`;
+    else if (rule?.type === 'number') expected = ` (a number from ${rule.min} to ${rule.max})`;
+    else if (rule?.type === 'themes') expected = ' (names from the theme list only)';
+    return `- ${field}: ${message}${expected}`;
+  }).join('\n');
+}
+
+/**
+ * Helper: Check one value
+ * Returns: { value?, error?, coerced? }
+ */
+function checkField(raw, rule, options) {
+  switch (rule.type) {
+    case 'enum': return checkEnum(raw, rule);
+    case 'integer': return checkNumber(raw, rule, true);
+    case 'number': return checkNumber(raw, rule, false);
+    case 'string': return checkString(raw, rule);
+    case 'themes': return checkThemes(raw, rule, options.themes || []);
+    default: return { error: `has unknown type ${rule.type}` };
+  }
+}
+
+function checkEnum(raw, rule) {
+  if (typeof raw !== 'string') return { error: `${JSON.stringify(raw)} is not text` };
+
+  const exact = rule.values.find(value => value === raw);
+  if (exact) return { value: exact };
+
+  const lower = raw.trim().toLowerCase();
+  const caseless = rule.values.find(value => value.toLowerCase() === lower);
+  if (caseless) return { value: caseless, coerced: true };
+
+  // "High priority", "very negative", "severe": a single allowed value or synonym among the words
+  const words = lower.replace(/\u2019/g, "'").split(/[^a-z0-9']+/).filter(Boolean);
+  const matches = new Set();
+  for (const [index, word] of words.entries()) {
+    const match = rule.values.find(value => value.toLowerCase() === word) || rule.synonyms?.[word];
+    if (!match) continue;
+    // "not urgent", "non-critical" mean the opposite of the word, so they can't be coerced
+    if (words.slice(0, index).some(earlier => NEGATORS.has(earlier))) {
+      return { error: `"${raw}" is negated, not an allowed value` };
+    }
+    matches.add(match);
+  }
+  if (matches.size === 1) return { value: [...matches][0], coerced: true };
+
+  return { error: `"${raw}" is not an allowed value` };
+}
+
+function checkNumber(raw, rule, integer) {
+  let number = typeof raw === 'number' ? raw : NaN;
+  let coerced = false;
+
+  if (typeof raw === 'string') {
+    const text = raw.trim();
+    // "8/10", "8 out of 10" -> scaled onto the rule's range
+    const fraction = text.match(/^(-?\d+(?:\.\d+)?)\s*(?:\/|out of)\s*(\d+(?:\.\d+)?)$/i);
+    const percent = text.match(/^(-?\d+(?:\.\d+)?)\s*%$/);
+    if (fraction && Number(fraction[2]) > 0) {
+      number = Number(fraction[1]) / Number(fraction[2]) * rule.max;
+    } else if (percent) {
+      number = Number(percent[1]) / 100 * rule.max;
+    } else if (/^-?\d+(?:\.\d+)?$/.test(text)) {
+      number = Number(text);
+    }
+    coerced = true;
+  }
+
+  if (!Number.isFinite(number)) return { error: `${JSON.stringify(raw)} is not a number` };
+
+  // Confidence given as a percentage (85 instead of 0.85)
+  if (!integer && rule.max === 1 && number > 1 && number <= 100) {
+    number = number / 100;
+    coerced = true;
+  }
+  if (integer && !Number.isInteger(number)) {
+    number = Math.round(number);
+    coerced = true;
+  }
+  if (number < rule.min || number > rule.max) {
+    return { error: `${JSON.stringify(raw)} is outside ${rule.min}-${rule.max}` };
+  }
+
+  return { value: number, coerced };
+}
+
+function checkString(raw, rule) {
+  if (typeof raw !== 'string') return { error: `${JSON.stringify(raw)} is not text` };
+  const text = raw.trim();
+  if (!text) return { error: 'is empty' };
+  if (rule.maxLength && text.length > rule.maxLength) {
+    return { value: text.slice(0, rule.maxLength - 3).trimEnd() + '...', coerced: true };
+  }
+  return { value: text };
+}
+
+function checkThemes(raw, rule, taxonomy) {
+  let names = raw;
+  let coerced = false;
+  if (typeof names === 'string') {
+    names = names.split(/[,;]/);
+    coerced = true;
+  }
+  if (!Array.isArray(names)) return { error: `${JSON.stringify(raw)} is not a list` };
+
+  const known = [];
+  const unknown = [];
+  for (const name of names) {
+    const match = matchTheme(String(name), taxonomy);
+    if (!match) {
+      if (String(name).trim()) unknown.push(String(name).trim());
+      continue;
+    }
+    if (match !== name) coerced = true;
+    if (!known.includes(match)) known.push(match);
+  }
+
+  if (rule.maxItems && known.length > rule.maxItems) {
+    known.length = rule.maxItems;
+    coerced = true;
+  }
+
+  const value = known.length > 0 ? known : undefined;
+  if (unknown.length > 0) return { value, error: `not in the theme list: ${unknown.join(', ')}` };
+  if (!value) return { error: 'is empty' };
+  return { value, coerced };
+}
+
+/**
+ * Helper: Taxonomy name for a model-written theme
+ * Exact or case-insensitive name, then ignoring punctuation ("Build / Deploy issues"),
+ * then a single taxonomy name containing it or contained in it ("Rate Limits")
+ */
+function matchTheme(name, taxonomy) {
+  const squash = value => value.toLowerCase().replace(/[^a-z0-9]+/g, '');
+  const wanted = squash(name);
+  if (!wanted) return null;
+
+  const exact = taxonomy.find(theme => theme.name === name.trim())
+    || taxonomy.find(theme => squash(theme.name) === wanted);
+  if (exact) return exact.name;
+
+  const partial = taxonomy.filter(theme => {
+    const candidate = squash(theme.name);
+    return wanted.length >= 4 && (candidate.includes(wanted) || wanted.includes(candidate));
+  });
+  return partial.length === 1 ? partial[0].name : null;
+}
@@ -0,0 +1,96 @@
+// ============================================
+// CITATIONS MODULE
+// Ties generated search answers back to the feedback they are based on
+// Answers cite items as [#feedback_id]; citations are checked against the result set
+// ============================================
+
+// [#12], [#12, #40], [12], [#SUP-0042] - bracketed groups of ids
+const CITATION_GROUP_PATTERN = /\[\s*(#?[A-Za-z0-9_-]+(?:\s*[,;]\s*#?[A-Za-z0-9_-]+)*)\s*\]/g;
+
+// Suggestions don't describe feedback, so they need no citation
+const SUGGESTION_PATTERN = /^(?:next step|next|suggest(?:ed|ion)?|recommend(?:ed|ation)?|consider)\b/i;
+
+// Short fragments ("Summary:", list headers) aren't claims
+const MIN_CLAIM_WORDS = 5;
+
+/**
+ * Marker for one cited item
+ */
+export function citationMarker(feedbackId) {
+  return `[#${feedbackId}]`;
+}
+
+/**
+ * Check the citations in an answer against the rows it was generated from
+ * - ids of rows in the result set (feedback_id, or original_id) are normalized to [#feedback_id]
+ * - id-like citations of anything else are removed and reported as rejected
+ * - sentences making a claim without any citation are reported as uncited
+ * Returns: { text, cited: [row], check: { status, valid, rejected, uncited_sentences } }
+ *   status: 'grounded' (every claim cited), 'partial', or 'ungrounded' (no valid citation)
+ */
+export function verifyCitations(text, results) {
+  const byId = new Map(results.map(row => [String(row.feedback_id), row]));
+  const byOriginalId = new Map(results
+    .filter(row => row.original_id)
+    .map(row => [String(row.original_id).toLowerCase(), row]));
+
+  const citedIds = [];
+  const rejected = [];
+
+  const checked = String(text || '').replace(CITATION_GROUP_PATTERN, (group, inner) => {
+    const tokens = inner.split(/\s*[,;]\s*/);
+    const rows = [];
+    let isCitation = false;
+
+    for (const token of tokens) {
+      const id = token.replace(/^#/, '');
+      const row = byId.get(id) || byOriginalId.get(token.toLowerCase()) || byOriginalId.get(id.toLowerCase());
+      if (row) {
+        rows.push(row);
+        isCitation = true;
+      } else if (token.startsWith('#') || /^\d+$/.test(id)) {
+        rejected.push(id);
+        isCitation = true;
+      }
+    }
+
+    // Bracketed words that aren't ids ("[Critical]") are left alone
+    if (!isCitation) return group;
+
+    for (const row of rows) {
+      if (!citedIds.includes(row.feedback_id)) citedIds.push(row.feedback_id);
+    }
+    return [...new Set(rows.map(row => row.feedback_id))].map(citationMarker).join('');
+  });
+
+  const cleaned = checked.replace(/[ \t]+([.,;:!?])/g, '$1').replace(/[ \t]{2,}/g, ' ').trim();
+  const uncited = findUncitedSentences(cleaned);
+  const cited = citedIds.map(id => byId.get(String(id)));
+
+  let status = 'grounded';
+  if (cited.length === 0) status = 'ungrounded';
+  else if (rejected.length > 0 || uncited.length > 0) status = 'partial';
+
+  return {
+    text: cleaned,
+    cited,
+    check: {
+      status,
+      valid: cited.length,
+      rejected: [...new Set(rejected)],
+      uncited_sentences: uncited
+    }
+  };
+}
+
+/**
+ * Helper: Sentences that state something but cite nothing
+ */
+function findUncitedSentences(text) {
+  return text
+    .split(/\n+|(?<=[.!?])\s+(?=[A-Z0-9*⚠-])/)
+    .map(sentence => sentence.replace(/^[\s*\-•\d.)]+/, '').trim())
+    .filter(sentence => sentence.split(/\s+/).length >= MIN_CLAIM_WORDS)
+    .filter(sentence => !/\[#[^\]]+\]/.test(sentence))
+    .filter(sentence => !SUGGESTION_PATTERN.test(sentence));
+}
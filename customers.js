@@ -0,0 +1,451 @@
+// ============================================
+// CUSTOMERS MODULE
+// Customer 360: everything a user has said across sources (timeline, sentiment
+// trend, open critical items, themes) and an at-risk score for paying accounts
+// whose recent feedback is turning negative or critical
+// ============================================
+
+import { CUSTOMER_TIERS, OPEN_STATUSES, clampLimit, buildFilterClause } from './feedback-query.js';
+import { parseDateParam, toDateBounds } from './date-ranges.js';
+import { buildTrendSQL, fillBuckets, resolveInterval } from './trends.js';
+
+const DAY_MS = 86400000;
+
+// Only paying accounts are flagged; every customer still gets a score
+export const AT_RISK_TIERS = ['Enterprise', 'Pro'];
+
+export const RISK_DEFAULTS = {
+  days: 30,       // Recent window; the window before it is the comparison
+  threshold: 40   // Score (0-100) from which a paying account is at risk
+};
+
+/**
+ * Risk points - the score is the sum (0-100):
+ *   negative_share: share of recent analyzed feedback that is Negative / Frustrated
+ *   negative_trend: rise of that share over the previous window
+ *   open_critical: open Critical items (any age), per item up to max
+ *   urgent_share: share of recent feedback that is Critical / High
+ */
+export const RISK_WEIGHTS = {
+  negative_share: 40,
+  negative_trend: 20,
+  open_critical: { perItem: 15, max: 30 },
+  urgent_share: 10
+};
+
+export const CUSTOMER_SORTS = ['risk_score', 'feedback_count', 'recent_count', 'negative_share', 'open_critical', 'last_feedback'];
+export const MAX_RISK_DAYS = 365;
+export const MAX_EXPORT_ROWS = 10000;
+
+// Newest items on a customer's timeline
+const MAX_TIMELINE_ITEMS = 100;
+
+const ANALYZED = `sa.model_used IS NOT NULL AND sa.model_used != 'pending'`;
+const NEGATIVE = `${ANALYZED} AND sa.sentiment IN ('Negative', 'Frustrated')`;
+const OPEN_CRITICAL = `sa.urgency = 'Critical' AND fm.status IN (${OPEN_STATUSES.map(status => `'${status}'`).join(', ')})`;
+
+// CSV export columns
+const CSV_COLUMNS = [
+  ['user_id', c => c.user_id],
+  ['email', c => c.email],
+  ['username', c => c.username],
+  ['customer_tier', c => c.customer_tier],
+  ['feedback_count', c => c.feedback_count],
+  ['first_feedback', c => c.first_feedback],
+  ['last_feedback', c => c.last_feedback],
+  ['recent_count', c => c.recent.count],
+  ['recent_negative_share', c => c.recent.negative_share],
+  ['previous_negative_share', c => c.previous.negative_share],
+  ['open_critical', c => c.open_critical],
+  ['risk_score', c => c.risk.score],
+  ['at_risk', c => c.risk.at_risk],
+  ['risk_factors', c => c.risk.factors.map(factor => factor.factor).join('; ')]
+];
+
+/**
+ * /api/customers query parameters; throws on invalid values
+ * tier=Enterprise,Pro  at_risk=true|false  q= (email / username)  sort= direction=
+ * days= (recent window)  threshold= (at-risk score)  as_of= (end of the recent window)
+ * limit= offset=  format=json|csv
+ */
+export function customerOptionsFromParams(params) {
+  const options = { ...riskOptionsFromParams(params) };
+
+  const tiers = params.getAll('tier').flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+  options.tiers = tiers.map(value => {
+    const tier = CUSTOMER_TIERS.find(option => option.toLowerCase() === value.toLowerCase());
+    if (!tier) throw new Error(`tier must be one of ${CUSTOMER_TIERS.join(', ')} (got "${value}")`);
+    return tier;
+  });
+
+  const atRisk = params.get('at_risk');
+  if (atRisk !== null && atRisk !== '') {
+    if (!['true', 'false'].includes(atRisk)) throw new Error('at_risk must be true or false');
+    options.atRisk = atRisk === 'true';
+  }
+
+  const search = params.get('q');
+  if (search && search.trim()) options.search = search.trim().slice(0, 100);
+
+  options.sort = (params.get('sort') || 'risk_score').trim().toLowerCase();
+  if (!CUSTOMER_SORTS.includes(options.sort)) {
+    throw new Error(`sort must be one of ${CUSTOMER_SORTS.join(', ')}`);
+  }
+  options.direction = (params.get('direction') || 'desc').trim().toLowerCase();
+  if (!['asc', 'desc'].includes(options.direction)) throw new Error('direction must be asc or desc');
+
+  options.format = (params.get('format') || 'json').trim().toLowerCase();
+  if (!['json', 'csv'].includes(options.format)) throw new Error('format must be json or csv');
+
+  options.limit = clampLimit(params.get('limit'), 50);
+  options.offset = params.get('offset') ? parseInt(params.get('offset')) : 0;
+  if (!Number.isInteger(options.offset) || options.offset < 0) throw new Error('offset must be a non-negative integer');
+
+  return options;
+}
+
+/**
+ * days=, threshold= and as_of= (shared by the list and a single customer); throws on invalid values
+ */
+export function riskOptionsFromParams(params) {
+  const options = {};
+
+  if (params.get('days')) {
+    options.days = Number(params.get('days'));
+    if (!Number.isInteger(options.days) || options.days < 1 || options.days > MAX_RISK_DAYS) {
+      throw new Error(`days must be an integer from 1 to ${MAX_RISK_DAYS}`);
+    }
+  }
+  if (params.get('threshold')) {
+    options.threshold = Number(params.get('threshold'));
+    if (!Number.isFinite(options.threshold) || options.threshold < 0 || options.threshold > 100) {
+      throw new Error('threshold must be a number from 0 to 100');
+    }
+  }
+  if (params.get('as_of')) options.asOf = parseDateParam(params.get('as_of'), 'as_of');
+
+  return options;
+}
+
+/**
+ * Customers with feedback, scored for risk
+ * options: { tiers, atRisk, search, sort, direction, limit, offset, days, threshold, asOf, all }
+ *   all: skip limit / offset (exports, capped at MAX_EXPORT_ROWS)
+ * Returns: { window, total, customers: [customer summary] }
+ */
+export async function listCustomers(db, options = {}) {
+  const window = await riskWindow(db, options);
+  const conditions = [];
+  const params = [];
+
+  if (options.tiers?.length) {
+    conditions.push(`u.customer_tier IN (${options.tiers.map(() => '?').join(',')})`);
+    params.push(...options.tiers);
+  }
+  if (options.search) {
+    conditions.push(`(u.email LIKE ? OR u.username LIKE ?)`);
+    params.push(`%${options.search}%`, `%${options.search}%`);
+  }
+
+  const rows = await queryStats(db, window, conditions, params);
+  let customers = rows.map(row => summarizeCustomer(row, window, options.threshold ?? RISK_DEFAULTS.threshold));
+  if (options.atRisk !== undefined) {
+    customers = customers.filter(customer => customer.risk.at_risk === options.atRisk);
+  }
+
+  sortCustomers(customers, options.sort || 'risk_score', options.direction || 'desc');
+
+  const offset = options.offset || 0;
+  return {
+    window: describeWindow(window),
+    total: customers.length,
+    customers: options.all
+      ? customers.slice(0, MAX_EXPORT_ROWS)
+      : customers.slice(offset, offset + (options.limit || 50))
+  };
+}
+
+/**
+ * One customer: profile, risk, feedback timeline, sentiment trend, open critical items and themes
+ * options: { days, threshold, asOf, interval }
+ * Returns: customer 360 or null when the user doesn't exist
+ */
+export async function getCustomer(db, userId, options = {}) {
+  const user = await db.prepare(`
+    SELECT user_id, email, username, customer_tier, is_verified, first_seen_date
+    FROM users WHERE user_id = ?
+  `).bind(userId).first();
+  if (!user) return null;
+
+  const window = await riskWindow(db, options);
+  const interval = resolveInterval(options.interval);
+  const [statsRows, timeline, sources, openCritical, themes, trendRows] = await Promise.all([
+    queryStats(db, window, ['u.user_id = ?'], [userId]),
+    db.prepare(`
+      SELECT
+        fm.feedback_id, fm.original_id, fm.created_date, fm.feedback_text, fm.urgency_score, fm.value_score,
+        fm.status, s.source_name, pa.product_name, sa.sentiment, sa.urgency, sa.ai_summary,
+        sa.model_used = 'pending' AS analysis_pending,
+        (SELECT GROUP_CONCAT(t.theme_name)
+         FROM feedback_themes ft JOIN themes t ON ft.theme_id = t.theme_id
+         WHERE ft.feedback_id = fm.feedback_id) AS themes
+      FROM feedback_master fm
+      LEFT JOIN sources s ON fm.source_id = s.source_id
+      LEFT JOIN product_areas pa ON fm.product_area_id = pa.product_area_id
+      LEFT JOIN sentiment_analysis sa ON fm.feedback_id = sa.feedback_id
+      WHERE fm.user_id = ?
+      ORDER BY fm.created_date DESC, fm.feedback_id DESC
+      LIMIT ?
+    `).bind(userId, MAX_TIMELINE_ITEMS).all(),
+    db.prepare(`
+      SELECT s.source_name, COUNT(*) AS count, MAX(fm.created_date) AS last_feedback
+      FROM feedback_master fm
+      JOIN sources s ON fm.source_id = s.source_id
+      WHERE fm.user_id = ?
+      GROUP BY s.source_name
+      ORDER BY count DESC
+    `).bind(userId).all(),
+    db.prepare(`
+      SELECT fm.feedback_id, fm.created_date, fm.feedback_text, fm.urgency_score, fm.status, fm.assignee,
+             s.source_name, pa.product_name
+      FROM feedback_master fm
+      LEFT JOIN sources s ON fm.source_id = s.source_id
+      LEFT JOIN product_areas pa ON fm.product_area_id = pa.product_area_id
+      JOIN sentiment_analysis sa ON fm.feedback_id = sa.feedback_id
+      WHERE fm.user_id = ? AND ${OPEN_CRITICAL}
+      ORDER BY fm.urgency_score DESC, fm.created_date DESC
+    `).bind(userId).all(),
+    db.prepare(`
+      SELECT
+        t.theme_name, t.category,
+        COUNT(*) AS count,
+        SUM(CASE WHEN ${NEGATIVE} THEN 1 ELSE 0 END) AS negative_count,
+        MAX(fm.created_date) AS last_feedback
+      FROM feedback_master fm
+      JOIN feedback_themes ft ON fm.feedback_id = ft.feedback_id
+      JOIN themes t ON ft.theme_id = t.theme_id
+      LEFT JOIN sentiment_analysis sa ON fm.feedback_id = sa.feedback_id
+      WHERE fm.user_id = ?
+      GROUP BY t.theme_id
+      ORDER BY count DESC, last_feedback DESC
+    `).bind(userId).all(),
+    (() => {
+      const { sql, params } = buildTrendSQL(buildFilterClause({ customer: userId }), interval);
+      return db.prepare(sql).bind(...params).all();
+    })()
+  ]);
+
+  const stats = statsRows[0] || emptyStats(user);
+  const summary = summarizeCustomer(stats, window, options.threshold ?? RISK_DEFAULTS.threshold);
+
+  return {
+    customer: {
+      user_id: user.user_id,
+      email: user.email,
+      username: user.username,
+      customer_tier: user.customer_tier,
+      is_verified: Boolean(user.is_verified),
+      first_seen_date: user.first_seen_date
+    },
+    window: describeWindow(window),
+    feedback_count: summary.feedback_count,
+    first_feedback: summary.first_feedback,
+    last_feedback: summary.last_feedback,
+    recent: summary.recent,
+    previous: summary.previous,
+    risk: summary.risk,
+    sources: sources.results || [],
+    sentiment_trend: fillBuckets(trendRows.results || [], interval),
+    open_critical: openCritical.results || [],
+    themes: themes.results || [],
+    timeline: (timeline.results || []).map(row => ({
+      ...row,
+      analysis_pending: Boolean(row.analysis_pending),
+      themes: row.themes ? row.themes.split(',') : []
+    })),
+    timeline_truncated: summary.feedback_count > MAX_TIMELINE_ITEMS
+  };
+}
+
+/**
+ * Customer summaries as CSV (header row + one row per customer)
+ */
+export function customersToCSV(customers) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  for (const customer of customers) {
+    lines.push(CSV_COLUMNS.map(([, value]) => csvCell(value(customer))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Helper: Recent window [recentStart, end) and the previous window of the same length
+ * The window ends at as_of, or at the end of the day of the latest feedback
+ */
+async function riskWindow(db, options) {
+  const days = options.days || RISK_DEFAULTS.days;
+
+  let end;
+  if (options.asOf) {
+    end = new Date(toDateBounds(null, options.asOf).end);
+  } else {
+    const latest = await db.prepare(`SELECT MAX(created_date) AS last FROM feedback_master`).first();
+    const last = latest?.last ? new Date(latest.last) : new Date();
+    end = new Date(Date.UTC(last.getUTCFullYear(), last.getUTCMonth(), last.getUTCDate()) + DAY_MS);
+  }
+
+  const recentStart = new Date(end.getTime() - days * DAY_MS);
+  const previousStart = new Date(recentStart.getTime() - days * DAY_MS);
+  return { days, end, recentStart, previousStart };
+}
+
+/**
+ * Helper: Per-customer counts for the recent and previous windows
+ */
+async function queryStats(db, window, conditions, conditionParams) {
+  // Bound once per use below: recent window four times, then the previous window twice
+  const inWindow = 'fm.created_date >= ? AND fm.created_date < ?';
+  const recentParams = [window.recentStart.toISOString(), window.end.toISOString()];
+  const previousParams = [window.previousStart.toISOString(), window.recentStart.toISOString()];
+
+  const result = await db.prepare(`
+    SELECT
+      u.user_id, u.email, u.username, u.customer_tier,
+      COUNT(fm.feedback_id) AS feedback_count,
+      MIN(fm.created_date) AS first_feedback,
+      MAX(fm.created_date) AS last_feedback,
+      SUM(CASE WHEN ${inWindow} THEN 1 ELSE 0 END) AS recent_count,
+      SUM(CASE WHEN ${inWindow} AND ${ANALYZED} THEN 1 ELSE 0 END) AS recent_analyzed,
+      SUM(CASE WHEN ${inWindow} AND ${NEGATIVE} THEN 1 ELSE 0 END) AS recent_negative,
+      SUM(CASE WHEN ${inWindow} AND sa.urgency IN ('Critical', 'High') THEN 1 ELSE 0 END) AS recent_urgent,
+      SUM(CASE WHEN ${inWindow} AND ${ANALYZED} THEN 1 ELSE 0 END) AS previous_analyzed,
+      SUM(CASE WHEN ${inWindow} AND ${NEGATIVE} THEN 1 ELSE 0 END) AS previous_negative,
+      SUM(CASE WHEN ${OPEN_CRITICAL} THEN 1 ELSE 0 END) AS open_critical
+    FROM users u
+    JOIN feedback_master fm ON fm.user_id = u.user_id
+    LEFT JOIN sentiment_analysis sa ON fm.feedback_id = sa.feedback_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    GROUP BY u.user_id
+  `).bind(
+    ...recentParams, ...recentParams, ...recentParams, ...recentParams,
+    ...previousParams, ...previousParams,
+    ...conditionParams
+  ).all();
+
+  return result.results || [];
+}
+
+/**
+ * Helper: Stats row -> customer summary with the risk score and the factors behind it
+ */
+function summarizeCustomer(row, window, threshold) {
+  const negativeShare = share(row.recent_negative, row.recent_analyzed);
+  const previousShare = share(row.previous_negative, row.previous_analyzed);
+  const urgentShare = share(row.recent_urgent, row.recent_count);
+
+  // Each factor that adds points is listed, so a score can be explained
+  const factors = [];
+  if (negativeShare) {
+    factors.push({ factor: 'negative_share', value: negativeShare, points: round(negativeShare * RISK_WEIGHTS.negative_share) });
+  }
+  if (negativeShare !== null && previousShare !== null && negativeShare > previousShare) {
+    const rise = round(negativeShare - previousShare);
+    factors.push({ factor: 'negative_trend', value: rise, points: round(rise * RISK_WEIGHTS.negative_trend) });
+  }
+  if (row.open_critical > 0) {
+    const { perItem, max } = RISK_WEIGHTS.open_critical;
+    factors.push({ factor: 'open_critical', value: row.open_critical, points: Math.min(max, row.open_critical * perItem) });
+  }
+  if (urgentShare) {
+    factors.push({ factor: 'urgent_share', value: urgentShare, points: round(urgentShare * RISK_WEIGHTS.urgent_share) });
+  }
+
+  const score = Math.min(100, round(factors.reduce((sum, factor) => sum + factor.points, 0)));
+
+  return {
+    user_id: row.user_id,
+    email: row.email,
+    username: row.username,
+    customer_tier: row.customer_tier,
+    feedback_count: row.feedback_count,
+    first_feedback: row.first_feedback,
+    last_feedback: row.last_feedback,
+    recent: {
+      count: row.recent_count || 0,
+      analyzed: row.recent_analyzed || 0,
+      negative: row.recent_negative || 0,
+      negative_share: negativeShare,
+      urgent: row.recent_urgent || 0
+    },
+    previous: {
+      analyzed: row.previous_analyzed || 0,
+      negative: row.previous_negative || 0,
+      negative_share: previousShare
+    },
+    open_critical: row.open_critical || 0,
+    risk: {
+      score,
+      at_risk: AT_RISK_TIERS.includes(row.customer_tier) && score >= threshold,
+      factors
+    }
+  };
+}
+
+/**
+ * Helper: Sort in place; customers without a value for the key go last, ties by user_id
+ */
+function sortCustomers(customers, sort, direction) {
+  const key = {
+    risk_score: customer => customer.risk.score,
+    feedback_count: customer => customer.feedback_count,
+    recent_count: customer => customer.recent.count,
+    negative_share: customer => customer.recent.negative_share,
+    open_critical: customer => customer.open_critical,
+    last_feedback: customer => customer.last_feedback
+  }[sort];
+  const sign = direction === 'asc' ? 1 : -1;
+
+  customers.sort((a, b) => {
+    const x = key(a);
+    const y = key(b);
+    if (x === y) return a.user_id - b.user_id;
+    if (x === null || x === undefined) return 1;
+    if (y === null || y === undefined) return -1;
+    return (x < y ? -1 : 1) * sign;
+  });
+}
+
+function describeWindow(window) {
+  return {
+    days: window.days,
+    recent: { from: window.recentStart.toISOString(), to: window.end.toISOString() },
+    previous: { from: window.previousStart.toISOString(), to: window.recentStart.toISOString() }
+  };
+}
+
+function emptyStats(user) {
+  return {
+    ...user,
+    feedback_count: 0, first_feedback: null, last_feedback: null,
+    recent_count: 0, recent_analyzed: 0, recent_negative: 0, recent_urgent: 0,
+    previous_analyzed: 0, previous_negative: 0, open_critical: 0
+  };
+}
+
+/**
+ * Helper: CSV cell - quoted when needed; text that spreadsheets would run as a formula is prefixed with '
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function share(count, total) {
+  return total > 0 ? round(count / total) : null;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -121,76 +121,6 @@ export function standardizeUrgency(urgencyStr) {
   }
 }
 
-/**
- * Calculate urgency score (1-10)
- */
-export function calculateUrgencyScore(urgency, feedbackText, customerTier) {
-  let score = 5; // Default medium
-  
-  // Base score from urgency
-  const urgencyScores = {
-    'Critical': 10,
-    'High': 8,
-    'Medium': 5,
-    'Low': 3
-  };
-  score = urgencyScores[urgency] || 5;
-  
-  // Adjust based on keywords in feedback
-  const text = feedbackText.toLowerCase();
-  
-  if (text.includes('urgent') || text.includes('critical')) score += 2;
-  if (text.includes('blocking') || text.includes('can\'t')) score += 1;
-  if (text.includes('production') || text.includes('outage')) score += 2;
-  if (text.includes('data loss') || text.includes('security')) score += 2;
-  
-  // Boost for enterprise customers
-  if (customerTier === 'Enterprise') score += 1;
-  
-  return Math.min(10, Math.max(1, score));
-}
-
-/**
- * Calculate value score (1-10) based on business impact
- */
-export function calculateValueScore(customerTier, feedbackText, engagementMetrics = {}) {
-  let score = 5;
-  
-  // Customer tier weight
-  const tierScores = {
-    'Enterprise': 9,
-    'Pro': 7,
-    'Free': 4
-  };
-  score = tierScores[customerTier] || 5;
-  
-  // Engagement boost (likes, upvotes, comments)
-  const { likes = 0, upvotes = 0, comments = 0, views = 0 } = engagementMetrics;
-  const totalEngagement = likes + upvotes * 2 + comments;
-  
-  if (totalEngagement > 50) score += 2;
-  else if (totalEngagement > 20) score += 1;
-  
-  // Business impact keywords
-  const text = feedbackText.toLowerCase();
-  if (text.includes('revenue') || text.includes('customer')) score += 1;
-  if (text.includes('compliance') || text.includes('security')) score += 1;
-  
-  return Math.min(10, Math.max(1, score));
-}
-
-/**
- * Calculate engagement score
- */
-export function calculateEngagementScore(metrics) {
-  const { likes = 0, retweets = 0, upvotes = 0, comments = 0, replies = 0, views = 0 } = metrics;
-  
-  // Weighted formula
-  const score = (likes * 1) + (retweets * 2) + (upvotes * 2) + (comments * 3) + (replies * 3) + (views * 0.01);
-  
-  return Math.round(score * 100) / 100;
-}
-
 /**
  * Standardize customer tier
  */
@@ -247,7 +177,7 @@ export function processSupportTicket(row) {
     username: row['customer_name'] || null,
     product_area: standardizeProductName(row['Product Area']),
     source: 'Support',
-    created_date: createdDate || new Date().toISOString(),
+    created_date: createdDate,  // null if unparseable - validateRow falls back to upload time
     resolved_date: standardizeDate(row['resolved_date']),
     customer_tier: standardizeTier(row['Customer Tier']),
     urgency: standardizeUrgency(row['Priority']),
@@ -281,7 +211,7 @@ export function processDiscordMessage(row) {
     email: null,
     product_area: inferProductFromText(row['message_content'] || ''),
     source: 'Discord',
-    created_date: createdDate || new Date().toISOString(), // Fallback to current time
+    created_date: createdDate,
     customer_tier: 'Free',  // Most Discord users are free tier
     urgency: inferUrgencyFromText(row['message_content'] || ''),
     metadata: {
@@ -308,7 +238,7 @@ export function processGitHubIssue(row) {
     email: null,
     product_area: inferProductFromLabels(labels) || inferProductFromText(row['Title'] || ''),
     source: 'GitHub',
-    created_date: createdDate || new Date().toISOString(),
+    created_date: createdDate,
     resolved_date: standardizeDate(row['Closed']),
     customer_tier: inferTierFromAuthor(row['Author']),
     urgency: inferUrgencyFromLabels(labels),
@@ -335,7 +265,7 @@ export function processEmail(row) {
     username: null,
     product_area: inferProductFromText((row['Subject'] || '') + ' ' + (row['Body'] || '')),
     source: 'Email',
-    created_date: createdDate || new Date().toISOString(),
+    created_date: createdDate,
     customer_tier: inferTierFromEmail(row['From']),
     urgency: standardizeUrgency(row['Category']) || inferUrgencyFromText(row['Subject'] || ''),
     metadata: {
@@ -365,7 +295,7 @@ export function processTweet(row) {
     email: null,
     product_area: inferProductFromText(row['Tweet Text'] || ''),
     source: 'Twitter',
-    created_date: createdDate || new Date().toISOString(),
+    created_date: createdDate,
     customer_tier: row['Verified'] === 'TRUE' ? 'Pro' : 'Free',
     urgency: inferUrgencyFromText(row['Tweet Text'] || ''),
     engagement_metrics: engagement,
@@ -397,7 +327,7 @@ export function processForumPost(row) {
     email: null,
     product_area: inferProductFromTags(parseDelimitedString(row['Tags'], ';')),
     source: 'Forum',
-    created_date: createdDate || new Date().toISOString(),
+    created_date: createdDate,
     customer_tier: 'Free',
     urgency: inferUrgencyFromCategory(row['Forum Category']),
     engagement_metrics: engagement,
@@ -410,6 +340,100 @@ export function processForumPost(row) {
   };
 }
 
+/**
+ * Row processor for each feedback source
+ */
+export const SOURCE_PROCESSORS = {
+  'Support': processSupportTicket,
+  'Discord': processDiscordMessage,
+  'GitHub': processGitHubIssue,
+  'Email': processEmail,
+  'Twitter': processTweet,
+  'Forum': processForumPost
+};
+
+/**
+ * Raw columns that carry the feedback text for each source
+ * A row needs at least one of them to be usable
+ */
+export const REQUIRED_TEXT_FIELDS = {
+  'Support': ['Issue Description'],
+  'Discord': ['message_content'],
+  'GitHub': ['Title', 'Description'],
+  'Email': ['Subject', 'Body'],
+  'Twitter': ['Tweet Text'],
+  'Forum': ['Thread Title', 'Post Content']
+};
+
+/**
+ * Validate and process a single raw row without touching the database
+ * Returns: { processed, errors: [{ field, reason }], warnings: [{ field, message }] }
+ * productNames is the set of product_areas.product_name values
+ */
+export function validateRow(source, row, productNames = new Set()) {
+  const errors = [];
+  const warnings = [];
+
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    errors.push({ field: null, reason: 'Row must be an object' });
+    return { processed: null, errors, warnings };
+  }
+
+  const textFields = REQUIRED_TEXT_FIELDS[source] || [];
+  const hasText = textFields.some(field => row[field] && String(row[field]).trim());
+  if (!hasText) {
+    errors.push({ field: textFields.join(' / '), reason: 'feedback_text is required' });
+    return { processed: null, errors, warnings };
+  }
+
+  let processed;
+  try {
+    processed = SOURCE_PROCESSORS[source](row);
+  } catch (e) {
+    errors.push({ field: null, reason: `Could not process row: ${e.message}` });
+    return { processed: null, errors, warnings };
+  }
+
+  if (!processed.original_id) {
+    warnings.push({ field: 'original_id', message: 'Missing original ID - row cannot be matched on re-upload' });
+  }
+
+  if (!processed.created_date) {
+    warnings.push({ field: 'created_date', message: 'Missing or unparseable date - using upload time' });
+    processed.created_date = new Date().toISOString();
+    processed.created_date_fallback = true;
+  }
+
+  if (processed.product_area && !productNames.has(processed.product_area)) {
+    warnings.push({ field: 'product_area', message: `Unknown product area "${processed.product_area}" - stored without a product` });
+  }
+
+  return { processed, errors, warnings };
+}
+
+/**
+ * Map a workbook sheet name to a feedback source
+ * e.g. "Support Tickets" -> Support, "Twitter_X" -> Twitter, "Community Forum" -> Forum
+ */
+export function resolveSourceFromSheetName(sheetName) {
+  if (!sheetName) return null;
+
+  const words = sheetName.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const sheetKeywords = {
+    'Support': ['support', 'tickets'],
+    'Discord': ['discord'],
+    'GitHub': ['github'],
+    'Email': ['email', 'emails'],
+    'Twitter': ['twitter', 'tweets', 'x'],
+    'Forum': ['forum', 'forums']
+  };
+
+  for (const [source, keywords] of Object.entries(sheetKeywords)) {
+    if (keywords.some(keyword => words.includes(keyword))) return source;
+  }
+  return null;
+}
+
 /**
  * Helper: Infer product from text
  */
@@ -431,9 +455,9 @@ function inferProductFromText(text) {
 }
 
 /**
- * Helper: Infer urgency from text
+ * Infer urgency from text
  */
-function inferUrgencyFromText(text) {
+export function inferUrgencyFromText(text) {
   const lowerText = text.toLowerCase();
   
   if (lowerText.includes('urgent') || lowerText.includes('critical') || 
@@ -0,0 +1,277 @@
+// ============================================
+// DATE RANGES MODULE
+// Extracts date ranges from natural language ("this week", "since March",
+// "Q1 2024", "2024-01-15") and turns them into created_date bounds
+// All dates are UTC calendar days (YYYY-MM-DD)
+// ============================================
+
+const DAY_MS = 86400000;
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const ORDINAL = '(?:st|nd|rd|th)?';
+
+// Words that make a bare month name or year a date ("in March", not "may be")
+// Lookbehind, so the word stays outside the match for since / before / until handling
+const DATE_LEAD = '(?<=\\b(?:in|since|during|from|after|before|until|till|through|of|to|and|between|vs|versus|compare|comparing)\\s+(?:the\\s+)?)';
+
+// "compare last month to this month", "March vs May" - the ranges are kept apart
+const COMPARISON = /\b(?:compare[ds]?|comparing|comparison|vs|versus|against)\b/;
+
+// Prepositions removed along with a date phrase
+const LEAD_WORDS = /\b(?:in|on|since|during|from|after|before|until|till|through|of|to|and|between|vs|versus|for|starting|up to)\s+(?:the\s+)?$/i;
+
+/**
+ * Date phrase matchers, most specific first
+ * Each returns { from, to } as Date objects (inclusive days)
+ */
+const MATCHERS = [
+  // 2024-01-15
+  [/\b(\d{4})-(\d{2})-(\d{2})\b/, (m) => {
+    const day = utcDate(+m[1], +m[2] - 1, +m[3]);
+    return day ? { from: day, to: day } : null;
+  }],
+  // January 15, 2024 / Jan 15
+  [new RegExp(`\\b${MONTH}\\s+(\\d{1,2})${ORDINAL}(?:,?\\s+(\\d{4}))?\\b`), (m, now) => {
+    const month = monthIndex(m[1]);
+    const year = m[3] ? +m[3] : latestYearFor(now, month, +m[2]);
+    const day = utcDate(year, month, +m[2]);
+    return day ? { from: day, to: day } : null;
+  }],
+  // 15 January 2024 / 15th Jan
+  [new RegExp(`\\b(\\d{1,2})${ORDINAL}\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?\\b`), (m, now) => {
+    const month = monthIndex(m[2]);
+    const year = m[3] ? +m[3] : latestYearFor(now, month, +m[1]);
+    const day = utcDate(year, month, +m[1]);
+    return day ? { from: day, to: day } : null;
+  }],
+  // March 2024
+  [new RegExp(`\\b${MONTH}\\s+(\\d{4})\\b`), (m) => monthRange(+m[2], monthIndex(m[1]))],
+  // Q1 / Q1 2024
+  [/\bq([1-4])(?:\s+(\d{4}))?\b/, (m, now) => {
+    const quarter = +m[1] - 1;
+    const year = m[2] ? +m[2] : (quarter * 3 > now.getUTCMonth() ? now.getUTCFullYear() - 1 : now.getUTCFullYear());
+    return { from: utcDate(year, quarter * 3, 1), to: addDays(utcDate(year, quarter * 3 + 3, 1), -1) };
+  }],
+  // last 7 days / past 2 weeks / previous 3 months (rolling, ending today)
+  [/\b(?:last|past|previous)\s+(\d{1,3})\s+(day|week|month)s?\b/, (m, now) => {
+    const today = startOfDay(now);
+    const n = +m[1];
+    if (m[2] === 'month') {
+      const monthsAgo = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - n, today.getUTCDate()));
+      return { from: addDays(monthsAgo, 1), to: today };
+    }
+    return { from: addDays(today, -(n * (m[2] === 'week' ? 7 : 1)) + 1), to: today };
+  }],
+  // last week / last month / last quarter / last year (previous calendar period)
+  [/\b(?:last|previous|prior)\s+(week|month|quarter|year)\b/, (m, now) => {
+    const current = periodStart(now, m[1]);
+    const previous = periodStart(addDays(current, -1), m[1]);
+    return { from: previous, to: addDays(current, -1) };
+  }],
+  // this week / this month / this quarter / this year (to date)
+  [/\b(?:this|current)\s+(week|month|quarter|year)\b/, (m, now) => ({ from: periodStart(now, m[1]), to: startOfDay(now) })],
+  [/\b(?:ytd|year to date)\b/, (m, now) => ({ from: periodStart(now, 'year'), to: startOfDay(now) })],
+  [/\btoday\b/, (m, now) => ({ from: startOfDay(now), to: startOfDay(now) })],
+  [/\byesterday\b/, (m, now) => {
+    const day = addDays(startOfDay(now), -1);
+    return { from: day, to: day };
+  }],
+  // in March / since the March release (most recent March)
+  [new RegExp(`${DATE_LEAD}\\b${MONTH}\\b`), (m, now) => {
+    const month = monthIndex(m[1]);
+    return monthRange(month > now.getUTCMonth() ? now.getUTCFullYear() - 1 : now.getUTCFullYear(), month);
+  }],
+  // in 2024 / since 2023
+  [new RegExp(`${DATE_LEAD}\\b(20\\d{2})\\b`), (m) => ({
+    from: utcDate(+m[1], 0, 1),
+    to: utcDate(+m[1], 11, 31)
+  })]
+];
+
+/**
+ * Find the date range a query talks about
+ * Several phrases are combined into one span ("from January to March"), unless the query
+ * compares them ("last month vs this month") - then each one is a period of its own
+ * since / after / before / until make the range open-ended
+ * Returns: { dateFrom, dateTo, periods, phrases } (YYYY-MM-DD or null) or null when no dates are mentioned
+ *   periods: [{ label, dateFrom, dateTo }] for compared ranges (dateFrom / dateTo are then null), otherwise null
+ */
+export function parseDateRange(text, now = new Date()) {
+  if (!text) return null;
+
+  let remaining = text.toLowerCase();
+  const ranges = [];
+
+  for (const [pattern, build] of MATCHERS) {
+    const global = new RegExp(pattern.source, 'g');
+    let match;
+    while ((match = global.exec(remaining)) !== null) {
+      const range = build(match, now);
+      if (range) {
+        const before = remaining.slice(0, match.index);
+        const after = remaining.slice(match.index + match[0].length);
+        ranges.push({ ...applyModifier(before, after, range), index: match.index, phrase: match[0].trim() });
+      }
+    }
+    // Blank out what matched so shorter patterns don't match it again
+    remaining = remaining.replace(global, m => ' '.repeat(m.length));
+  }
+
+  if (ranges.length === 0) return null;
+
+  ranges.sort((a, b) => a.index - b.index);
+  const phrases = ranges.map(r => r.phrase);
+
+  if (ranges.length > 1 && COMPARISON.test(text.toLowerCase()) && ranges.every(r => r.from && r.to)) {
+    return {
+      dateFrom: null,
+      dateTo: null,
+      periods: ranges.map(r => ({ label: text.substr(r.index, r.phrase.length), dateFrom: formatDay(r.from), dateTo: formatDay(r.to) })),
+      phrases
+    };
+  }
+
+  const froms = ranges.map(r => r.from);
+  const tos = ranges.map(r => r.to);
+
+  return {
+    dateFrom: froms.includes(null) ? null : formatDay(new Date(Math.min(...froms))),
+    dateTo: tos.includes(null) ? null : formatDay(new Date(Math.max(...tos))),
+    periods: null,
+    phrases
+  };
+}
+
+/**
+ * Remove date phrases from a query (e.g. before embedding the descriptive part)
+ */
+export function removeDatePhrases(text, now = new Date()) {
+  const range = parseDateRange(text, now);
+  if (!range) return text;
+
+  let result = text;
+  for (const phrase of range.phrases) {
+    const index = result.toLowerCase().indexOf(phrase);
+    if (index < 0) continue;
+    const before = result.slice(0, index).replace(LEAD_WORDS, '');
+    result = before + ' ' + result.slice(index + phrase.length);
+  }
+  return result.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Validate a from/to API parameter
+ * Accepts YYYY-MM-DD or a full ISO timestamp; throws on anything else
+ * Returns: the value normalized (YYYY-MM-DD or ISO string)
+ */
+export function parseDateParam(value, name = 'date') {
+  const text = String(value).trim();
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const [year, month, day] = text.split('-').map(Number);
+    if (utcDate(year, month - 1, day)) return text;
+  } else if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+    const date = new Date(text);
+    if (!isNaN(date.getTime())) return date.toISOString();
+  }
+
+  throw new Error(`Invalid ${name} "${value}" - use YYYY-MM-DD or an ISO timestamp`);
+}
+
+/**
+ * SQL bounds for created_date (stored as ISO timestamps)
+ * dateTo is inclusive: a day covers the whole day, a timestamp covers up to that instant
+ * Returns: { start, end } for `created_date >= start AND created_date < end` (either may be null)
+ */
+export function toDateBounds(dateFrom, dateTo) {
+  let end = null;
+  if (dateTo) {
+    end = dateTo.length === 10
+      ? formatDay(addDays(new Date(`${dateTo}T00:00:00Z`), 1))
+      : new Date(new Date(dateTo).getTime() + 1).toISOString();
+  }
+  return { start: dateFrom || null, end };
+}
+
+/**
+ * Helper: since / after / from -> open end, before / until -> open start
+ */
+function applyModifier(before, after, range) {
+  const lead = before.match(/\b(since|after|from|starting|before|until|till|through|up to)\s+(?:the\s+)?$/);
+  if (!lead) return range;
+
+  switch (lead[1]) {
+    case 'since':
+    case 'starting':
+      return { from: range.from, to: null };
+    case 'after':
+      return { from: addDays(range.to, 1), to: null };
+    case 'before':
+      return { from: null, to: addDays(range.from, -1) };
+    case 'until':
+    case 'till':
+    case 'through':
+    case 'up to':
+      return { from: null, to: range.to };
+    default:
+      // "from X" alone is open-ended; "from X to Y" is joined with Y by the caller
+      return /^\s*(?:to|until|till|through|and|-)\b/.test(after) ? range : { from: range.from, to: null };
+  }
+}
+
+/**
+ * Helper: UTC midnight for a calendar day, null if the day doesn't exist
+ */
+function utcDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  if (month >= 0 && month <= 11 && date.getUTCDate() !== day) return null;
+  return date;
+}
+
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * Helper: First day of the week (Monday) / month / quarter / year containing date
+ */
+function periodStart(date, unit) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  switch (unit) {
+    case 'week':
+      return addDays(startOfDay(date), -((date.getUTCDay() + 6) % 7));
+    case 'month':
+      return utcDate(year, month, 1);
+    case 'quarter':
+      return utcDate(year, month - (month % 3), 1);
+    default:
+      return utcDate(year, 0, 1);
+  }
+}
+
+function monthRange(year, month) {
+  return { from: utcDate(year, month, 1), to: addDays(utcDate(year, month + 1, 1), -1) };
+}
+
+function monthIndex(name) {
+  return MONTH_NAMES.findIndex(month => month.startsWith(name.slice(0, 3)));
+}
+
+/**
+ * Helper: Year for a month/day without one - the most recent that isn't in the future
+ */
+function latestYearFor(now, month, day) {
+  const year = now.getUTCFullYear();
+  return Date.UTC(year, month, day) > now.getTime() ? year - 1 : year;
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
@@ -0,0 +1,66 @@
+// ============================================
+// EMBEDDINGS MODULE
+// Text embeddings via Workers AI (BGE) and vector math helpers
+// ============================================
+
+export const EMBEDDING_MODEL = '@cf/baai/bge-base-en-v1.5';
+export const EMBEDDING_DIMENSIONS = 768;
+
+/**
+ * Embed a list of texts
+ * Returns: array of unit-length vectors, same order as texts
+ */
+export async function embedTexts(aiBinding, texts, batchSize = 50) {
+  const vectors = [];
+
+  // The embedding model accepts a batch of texts per call
+  for (let i = 0; i < texts.length; i += batchSize) {
+    const batch = texts.slice(i, i + batchSize).map(text => (text || '').slice(0, 2000));
+    const response = await aiBinding.run(EMBEDDING_MODEL, { text: batch });
+    const data = response?.data || [];
+
+    if (data.length !== batch.length) {
+      throw new Error(`Embedding model returned ${data.length} vectors for ${batch.length} texts`);
+    }
+    vectors.push(...data.map(normalize));
+  }
+
+  return vectors;
+}
+
+/**
+ * Cosine similarity (dot product for unit vectors)
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * Scale a vector to unit length
+ */
+export function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  if (norm === 0) return vector.slice();
+  return vector.map(v => v / norm);
+}
+
+/**
+ * Mean of a set of vectors, normalized
+ */
+export function centroid(vectors) {
+  if (vectors.length === 0) return [];
+  const sum = new Array(vectors[0].length).fill(0);
+  for (const vector of vectors) {
+    for (let i = 0; i < vector.length; i++) sum[i] += vector[i];
+  }
+  return normalize(sum);
+}
@@ -0,0 +1,97 @@
+// ============================================
+// EVALUATION RUNNER (Node CLI)
+// node eval-runner.js [--gold file] [--recordings file] [--record] [--predictors llm,keywords] [--json file]
+//
+// Offline by default: the LLM predictor replays --recordings, so no account is needed.
+// --record calls Workers AI over the REST API (CLOUDFLARE_ACCOUNT_ID, CLOUDFLARE_API_TOKEN)
+// and saves the responses to --recordings for later offline runs.
+// ============================================
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { runEvaluation, formatReport, createRecordedAI, recordAI } from './evaluation.js';
+
+const DEFAULTS = {
+  gold: 'eval-gold-set.json',
+  recordings: 'eval-recordings.json'
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const goldSet = JSON.parse(readFileSync(args.gold || DEFAULTS.gold, 'utf8'));
+  const recordingsFile = args.recordings || DEFAULTS.recordings;
+
+  let ai = null;
+  let recorder = null;
+  let predictors = args.predictors ? args.predictors.split(',') : null;
+
+  if (args.record) {
+    recorder = recordAI(createRestAI(process.env.CLOUDFLARE_ACCOUNT_ID, process.env.CLOUDFLARE_API_TOKEN));
+    ai = recorder.ai;
+  } else if (existsSync(recordingsFile)) {
+    ai = createRecordedAI(JSON.parse(readFileSync(recordingsFile, 'utf8')));
+  } else {
+    console.log(`No recordings at ${recordingsFile} - scoring the keyword fallbacks only.`);
+    console.log('Record LLM responses with: npm run eval -- --record (needs CLOUDFLARE_ACCOUNT_ID and CLOUDFLARE_API_TOKEN)\n');
+    predictors = predictors || ['keywords'];
+  }
+
+  const report = await runEvaluation(goldSet, { ai, predictors: predictors || undefined });
+  console.log(formatReport(report));
+
+  if (recorder) {
+    writeFileSync(recordingsFile, JSON.stringify(recorder.recordings, null, 2));
+    console.log(`\nSaved ${Object.keys(recorder.recordings).length} responses to ${recordingsFile}`);
+  }
+  if (args.json) {
+    writeFileSync(args.json, JSON.stringify(report, null, 2));
+    console.log(`Report written to ${args.json}`);
+  }
+}
+
+/**
+ * Workers AI over the REST API, with the same run(model, input) shape as env.AI
+ */
+function createRestAI(accountId, apiToken) {
+  if (!accountId || !apiToken) {
+    throw new Error('--record needs CLOUDFLARE_ACCOUNT_ID and CLOUDFLARE_API_TOKEN');
+  }
+
+  return {
+    async run(model, input) {
+      const response = await fetch(`https://api.cloudflare.com/client/v4/accounts/${accountId}/ai/run/${model}`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${apiToken}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(input)
+      });
+      const body = await response.json();
+      if (!response.ok || !body.success) {
+        throw new Error(`Workers AI ${response.status}: ${JSON.stringify(body.errors || body)}`);
+      }
+      return body.result;
+    }
+  };
+}
+
+/**
+ * Helper: --name value pairs; flags without a value are true
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const name = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[name] = true;
+    } else {
+      args[name] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,288 @@
+// ============================================
+// EVALUATION MODULE
+// Scores FeedbackAnalysisAgent against a hand-labeled gold set:
+// the LLM path and the keyword fallbacks, side by side
+// The AI binding is pluggable - a recorded-response stub runs fully offline
+// ============================================
+
+import { FeedbackAnalysisAgent, DEFAULT_THEMES } from './ai-agent.js';
+import { SENTIMENTS, URGENCY_LEVELS } from './feedback-query.js';
+import { fnv1a } from './hash.js';
+
+// Predictions outside the vocabulary are counted under this label
+const INVALID_LABEL = '(invalid)';
+
+/**
+ * Ways of labeling an item
+ * llm: the full agent (Workers AI, falling back to keywords when a call fails)
+ * keywords: the heuristic fallbacks only
+ */
+export const PREDICTORS = {
+  llm: async (agent, item) => agent.analyzeFeedback(item.text, item.metadata || {}),
+  keywords: async (agent, item) => ({
+    sentiment: agent.inferSentiment(item.text),
+    urgency: agent.inferUrgency(item.text),
+    themes: [agent.inferThemeFromKeywords(item.text)].filter(Boolean)
+  })
+};
+
+/**
+ * Check a gold set before running it
+ * Item: { id, text, metadata?: { customerTier, source }, sentiment, urgency, themes: [names] }
+ * Throws on the first invalid item
+ */
+export function validateGoldSet(items, themeNames = DEFAULT_THEMES.map(theme => theme.name)) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Gold set must be a non-empty array');
+  }
+
+  const ids = new Set();
+  items.forEach((item, index) => {
+    const where = `Gold item ${item?.id ?? index}`;
+    if (!item?.id || ids.has(item.id)) throw new Error(`${where}: id is missing or duplicated`);
+    ids.add(item.id);
+    if (typeof item.text !== 'string' || !item.text.trim()) throw new Error(`${where}: text is required`);
+    if (!SENTIMENTS.includes(item.sentiment)) throw new Error(`${where}: sentiment must be one of ${SENTIMENTS.join(', ')}`);
+    if (!URGENCY_LEVELS.includes(item.urgency)) throw new Error(`${where}: urgency must be one of ${URGENCY_LEVELS.join(', ')}`);
+    if (!Array.isArray(item.themes)) throw new Error(`${where}: themes must be a list`);
+    const unknown = item.themes.filter(name => !themeNames.includes(name));
+    if (unknown.length > 0) throw new Error(`${where}: unknown theme(s) ${unknown.join(', ')}`);
+  });
+
+  return items;
+}
+
+/**
+ * Label every gold item with each predictor and score the results
+ * options: { ai, themes, examples, predictors: ['llm', 'keywords'] }
+ * Returns: { items, generated_at, results: { predictor: scores }, predictions: [...] }
+ */
+export async function runEvaluation(goldSet, options = {}) {
+  const themes = options.themes?.length ? options.themes : DEFAULT_THEMES;
+  validateGoldSet(goldSet, themes.map(theme => theme.name));
+
+  const agent = new FeedbackAnalysisAgent(options.ai, { themes, examples: options.examples });
+  const predictorNames = options.predictors || Object.keys(PREDICTORS);
+  const results = {};
+  const predictions = goldSet.map(item => ({ id: item.id, gold: pickLabels(item), predicted: {} }));
+
+  for (const name of predictorNames) {
+    const predict = PREDICTORS[name];
+    if (!predict) throw new Error(`Unknown predictor: ${name}`);
+
+    let fallbacks = 0;
+    let errors = 0;
+    const outputs = { checked: 0, invalid: 0, repaired: 0 };
+    for (let i = 0; i < goldSet.length; i++) {
+      let labels;
+      try {
+        labels = await predict(agent, goldSet[i]);
+      } catch (error) {
+        errors++;
+        labels = { sentiment: null, urgency: null, themes: [] };
+      }
+      if (labels.fallback) fallbacks++;
+      for (const report of labels.validation || []) {
+        outputs.checked++;
+        if (report.invalid) outputs.invalid++;
+        if (report.repaired) outputs.repaired++;
+      }
+      predictions[i].predicted[name] = pickLabels(labels);
+    }
+
+    results[name] = {
+      sentiment: classificationMetrics(predictions.map(p => [p.gold.sentiment, p.predicted[name].sentiment]), SENTIMENTS),
+      urgency: classificationMetrics(predictions.map(p => [p.gold.urgency, p.predicted[name].urgency]), URGENCY_LEVELS),
+      themes: multiLabelMetrics(predictions.map(p => [p.gold.themes, p.predicted[name].themes])),
+      fallbacks,
+      errors,
+      outputs
+    };
+  }
+
+  return { items: goldSet.length, generated_at: new Date().toISOString(), results, predictions };
+}
+
+/**
+ * Single-label scores
+ * pairs: [[gold, predicted]]; labels: the vocabulary (predictions outside it count as INVALID_LABEL)
+ * Returns: { accuracy, macro_f1, per_class: { label: { precision, recall, f1, support } }, confusion: { labels, matrix } }
+ *   matrix[i][j] = items with gold labels[i] predicted as labels[j]
+ */
+export function classificationMetrics(pairs, labels) {
+  const normalize = value => labels.find(label => label.toLowerCase() === String(value ?? '').trim().toLowerCase()) || INVALID_LABEL;
+  const normalized = pairs.map(([gold, predicted]) => [gold, normalize(predicted)]);
+  const columns = normalized.some(([, predicted]) => predicted === INVALID_LABEL) ? [...labels, INVALID_LABEL] : labels;
+
+  const matrix = labels.map(() => columns.map(() => 0));
+  for (const [gold, predicted] of normalized) {
+    const row = labels.indexOf(gold);
+    if (row >= 0) matrix[row][columns.indexOf(predicted)]++;
+  }
+
+  const perClass = {};
+  for (const [i, label] of labels.entries()) {
+    const truePositives = matrix[i][i];
+    const support = matrix[i].reduce((sum, n) => sum + n, 0);
+    const predictedCount = matrix.reduce((sum, row) => sum + row[i], 0);
+    perClass[label] = scores(truePositives, predictedCount - truePositives, support - truePositives, support);
+  }
+
+  const correct = normalized.filter(([gold, predicted]) => gold === predicted).length;
+  const scored = Object.values(perClass).filter(c => c.support > 0);
+
+  return {
+    accuracy: ratio(correct, normalized.length),
+    macro_f1: ratio(scored.reduce((sum, c) => sum + c.f1, 0), scored.length),
+    per_class: perClass,
+    confusion: { labels: columns, matrix }
+  };
+}
+
+/**
+ * Multi-label scores for themes
+ * pairs: [[gold names], [predicted names]]
+ * Returns: { micro: { precision, recall, f1 }, macro_f1, exact_match, per_theme: { name: { precision, recall, f1, support } } }
+ */
+export function multiLabelMetrics(pairs) {
+  const counts = {};
+  const count = name => (counts[name] ||= { tp: 0, fp: 0, fn: 0 });
+  let exact = 0;
+
+  for (const [gold, predicted] of pairs) {
+    const goldSet = new Set(gold || []);
+    const predictedSet = new Set(predicted || []);
+    for (const name of predictedSet) {
+      if (goldSet.has(name)) count(name).tp++;
+      else count(name).fp++;
+    }
+    for (const name of goldSet) {
+      if (!predictedSet.has(name)) count(name).fn++;
+    }
+    if (goldSet.size === predictedSet.size && [...goldSet].every(name => predictedSet.has(name))) exact++;
+  }
+
+  const perTheme = {};
+  for (const [name, c] of Object.entries(counts)) {
+    perTheme[name] = scores(c.tp, c.fp, c.fn, c.tp + c.fn);
+  }
+
+  const totals = Object.values(counts).reduce(
+    (sum, c) => ({ tp: sum.tp + c.tp, fp: sum.fp + c.fp, fn: sum.fn + c.fn }),
+    { tp: 0, fp: 0, fn: 0 }
+  );
+  const micro = scores(totals.tp, totals.fp, totals.fn, totals.tp + totals.fn);
+  const themesInGold = Object.values(perTheme).filter(t => t.support > 0);
+
+  return {
+    micro: { precision: micro.precision, recall: micro.recall, f1: micro.f1 },
+    macro_f1: ratio(themesInGold.reduce((sum, t) => sum + t.f1, 0), themesInGold.length),
+    exact_match: ratio(exact, pairs.length),
+    per_theme: perTheme
+  };
+}
+
+/**
+ * Plain-text comparison report (predictors side by side, then per-class detail)
+ */
+export function formatReport(report) {
+  const names = Object.keys(report.results);
+  const width = Math.max(10, ...names.map(name => name.length + 2));
+  const pct = (value, pad = width) => `${(value * 100).toFixed(1)}%`.padStart(pad);
+  const lines = [`Evaluation on ${report.items} gold items (${report.generated_at})`, ''];
+
+  const row = (label, pick) => `${label.padEnd(24)}${names.map(name => pct(pick(report.results[name]))).join('')}`;
+  lines.push(`${''.padEnd(24)}${names.map(name => name.padStart(width)).join('')}`);
+  lines.push(row('Sentiment accuracy', r => r.sentiment.accuracy));
+  lines.push(row('Sentiment macro F1', r => r.sentiment.macro_f1));
+  lines.push(row('Urgency accuracy', r => r.urgency.accuracy));
+  lines.push(row('Urgency macro F1', r => r.urgency.macro_f1));
+  lines.push(row('Themes micro F1', r => r.themes.micro.f1));
+  lines.push(row('Themes macro F1', r => r.themes.macro_f1));
+  lines.push(row('Themes exact match', r => r.themes.exact_match));
+  const counts = (label, pick) => lines.push(`${label.padEnd(24)}${names.map(name => pick(report.results[name]).padStart(width)).join('')}`);
+  counts('Fallbacks / errors', r => `${r.fallbacks}/${r.errors}`);
+  counts('Invalid / repaired', r => `${r.outputs.invalid}/${r.outputs.repaired}`);
+
+  for (const name of names) {
+    for (const field of ['sentiment', 'urgency']) {
+      const metrics = report.results[name][field];
+      lines.push('', `${name} - ${field} (precision / recall / support)`);
+      for (const [label, c] of Object.entries(metrics.per_class)) {
+        lines.push(`  ${label.padEnd(12)}${pct(c.precision, 8)}${pct(c.recall, 8)}${String(c.support).padStart(6)}`);
+      }
+      lines.push(`  confusion (rows = gold, columns = predicted: ${metrics.confusion.labels.join(', ')})`);
+      metrics.confusion.labels.slice(0, metrics.confusion.matrix.length).forEach((label, i) => {
+        lines.push(`  ${label.padEnd(12)}${metrics.confusion.matrix[i].map(n => String(n).padStart(5)).join('')}`);
+      });
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Offline AI binding: replays recorded responses, keyed by model + messages
+ * Unrecorded requests throw, so the agent falls back to keywords (reported as fallbacks)
+ */
+export function createRecordedAI(recordings) {
+  return {
+    async run(model, input) {
+      const key = recordingKey(model, input);
+      if (!(key in recordings)) throw new Error(`No recorded response for ${model} (${key})`);
+      return recordings[key];
+    }
+  };
+}
+
+/**
+ * Wrap a live AI binding and keep every response for createRecordedAI()
+ * Returns: { ai, recordings }
+ */
+export function recordAI(binding) {
+  const recordings = {};
+  return {
+    recordings,
+    ai: {
+      async run(model, input) {
+        const response = await binding.run(model, input);
+        recordings[recordingKey(model, input)] = response;
+        return response;
+      }
+    }
+  };
+}
+
+/**
+ * Recording key - changes whenever the prompt changes, so prompt edits need a new recording
+ */
+export function recordingKey(model, input) {
+  const text = JSON.stringify({ model, messages: input?.messages, prompt: input?.prompt });
+  return `${model}:${fnv1a(text).toString(16)}:${text.length}`;
+}
+
+/**
+ * Helper: The labels being scored
+ */
+function pickLabels(labels) {
+  return {
+    sentiment: labels.sentiment ?? null,
+    urgency: labels.urgency ?? null,
+    themes: Array.isArray(labels.themes) ? labels.themes : []
+  };
+}
+
+function scores(truePositives, falsePositives, falseNegatives, support) {
+  const precision = ratio(truePositives, truePositives + falsePositives);
+  const recall = ratio(truePositives, truePositives + falseNegatives);
+  const f1 = precision + recall > 0 ? round(2 * precision * recall / (precision + recall)) : 0;
+  return { precision, recall, f1, support };
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? round(numerator / denominator) : 0;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,201 @@
+// ============================================
+// FEEDBACK ITEMS MODULE
+// Single feedback records for /api/feedback/:id: the full joined record
+// (with the score breakdown), the triage workflow (status, assignee, notes) and deletion
+// ============================================
+
+import { TRIAGE_STATUSES } from './feedback-query.js';
+import { getCorrections } from './label-corrections.js';
+
+// Allowed status changes; resolved / wont_fix items can be reopened
+export const TRIAGE_TRANSITIONS = {
+  new: ['triaged', 'wont_fix'],
+  triaged: ['in_progress', 'resolved', 'wont_fix'],
+  in_progress: ['triaged', 'resolved', 'wont_fix'],
+  resolved: ['triaged', 'in_progress'],
+  wont_fix: ['triaged']
+};
+
+// Status history entries returned with a record
+const MAX_HISTORY_ENTRIES = 50;
+
+/**
+ * Whether an item may move from one status to another
+ */
+export function canTransition(from, to) {
+  return TRIAGE_STATUSES.includes(to) && (TRIAGE_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Full record: feedback with its score breakdown, user, product, source, analysis (with
+ * label corrections and the prompt-injection flag), themes, metadata and triage
+ * Returns: record or null when the item doesn't exist
+ */
+export async function getFeedbackRecord(db, feedbackId) {
+  const row = await db.prepare(`
+    SELECT
+      fm.*,
+      u.email, u.username, u.customer_tier, u.is_verified,
+      pa.product_name, pa.category AS product_category, pa.team_owner,
+      s.source_name, s.source_type,
+      sa.sentiment, sa.urgency, sa.value_score AS analysis_value_score, sa.ai_summary,
+      sa.extracted_themes, sa.model_used, sa.confidence_score, sa.analyzed_at,
+      sa.attempts, sa.last_error, sa.corrected_at, sa.injection_flag, sa.injection_signals
+    FROM feedback_master fm
+    LEFT JOIN users u ON fm.user_id = u.user_id
+    LEFT JOIN product_areas pa ON fm.product_area_id = pa.product_area_id
+    LEFT JOIN sources s ON fm.source_id = s.source_id
+    LEFT JOIN sentiment_analysis sa ON fm.feedback_id = sa.feedback_id
+    WHERE fm.feedback_id = ?
+  `).bind(feedbackId).first();
+
+  if (!row) return null;
+
+  const [themes, history, corrections] = await Promise.all([
+    db.prepare(`
+      SELECT t.theme_id, t.theme_name, t.category, ft.confidence_score, ft.extracted_at
+      FROM feedback_themes ft
+      JOIN themes t ON ft.theme_id = t.theme_id
+      WHERE ft.feedback_id = ?
+      ORDER BY ft.confidence_score DESC
+    `).bind(feedbackId).all(),
+    db.prepare(`
+      SELECT from_status, to_status, assignee, changed_at
+      FROM feedback_status_history
+      WHERE feedback_id = ?
+      ORDER BY history_id DESC
+      LIMIT ?
+    `).bind(feedbackId, MAX_HISTORY_ENTRIES).all(),
+    getCorrections(db, feedbackId)
+  ]);
+
+  return {
+    feedback_id: row.feedback_id,
+    original_id: row.original_id,
+    feedback_text: row.feedback_text,
+    created_date: row.created_date,
+    resolved_date: row.resolved_date,
+    urgency_score: row.urgency_score,
+    value_score: row.value_score,
+    engagement_score: row.engagement_score,
+    // Why the item scored what it did (null until the item is scored with a config)
+    score_breakdown: parseJSON(row.score_breakdown, null),
+    scoring_version: row.scoring_version,
+    source: row.source_name ? { source_name: row.source_name, source_type: row.source_type } : null,
+    product: row.product_name ? {
+      product_name: row.product_name,
+      category: row.product_category,
+      team_owner: row.team_owner
+    } : null,
+    user: row.user_id ? {
+      user_id: row.user_id,
+      email: row.email,
+      username: row.username,
+      customer_tier: row.customer_tier,
+      is_verified: Boolean(row.is_verified)
+    } : null,
+    analysis: row.model_used ? {
+      sentiment: row.sentiment,
+      urgency: row.urgency,
+      value_score: row.analysis_value_score,
+      ai_summary: row.ai_summary,
+      extracted_themes: parseJSON(row.extracted_themes, []),
+      model_used: row.model_used,
+      pending: row.model_used === 'pending',
+      confidence_score: row.confidence_score,
+      analyzed_at: row.analyzed_at,
+      attempts: row.attempts,
+      last_error: row.last_error,
+      corrected_at: row.corrected_at,
+      // Possible prompt injection - labels may have been reset to keyword estimates
+      injection: {
+        flagged: Boolean(row.injection_flag),
+        ...parseJSON(row.injection_signals, { signals: [], anomalies: [] })
+      }
+    } : null,
+    corrections,
+    themes: themes.results || [],
+    metadata: parseJSON(row.metadata, {}),
+    triage: {
+      status: row.status,
+      assignee: row.assignee,
+      notes: row.triage_notes,
+      triaged_at: row.triaged_at,
+      status_changed_at: row.status_changed_at,
+      resolved_date: row.resolved_date,
+      allowed_transitions: TRIAGE_TRANSITIONS[row.status] || [],
+      history: history.results || []
+    },
+    inserted_at: row.inserted_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Update the triage fields of an item (validated by the caller - see canTransition)
+ * changes: { status?, assignee?, notes? } - undefined fields are left as they are
+ * Resolving sets resolved_date, reopening clears it; status changes are added to the history
+ * Returns: the updated record
+ */
+export async function updateTriage(db, record, changes) {
+  const current = record.triage;
+  const status = changes.status ?? current.status;
+  const assignee = changes.assignee !== undefined ? changes.assignee : current.assignee;
+  const notes = changes.notes !== undefined ? changes.notes : current.notes;
+  const statusChanged = status !== current.status;
+
+  // Timestamps follow the status change (fixed SQL fragments, no user input)
+  let resolvedDate = 'resolved_date';
+  if (statusChanged && status === 'resolved') resolvedDate = `datetime('now')`;
+  else if (statusChanged && current.status === 'resolved') resolvedDate = 'NULL';
+
+  const statements = [
+    db.prepare(`
+      UPDATE feedback_master SET
+        status = ?,
+        assignee = ?,
+        triage_notes = ?,
+        triaged_at = ${status !== 'new' ? `COALESCE(triaged_at, datetime('now'))` : 'triaged_at'},
+        status_changed_at = ${statusChanged ? `datetime('now')` : 'status_changed_at'},
+        resolved_date = ${resolvedDate},
+        updated_at = datetime('now')
+      WHERE feedback_id = ?
+    `).bind(status, assignee, notes, record.feedback_id)
+  ];
+
+  if (statusChanged) {
+    statements.push(db.prepare(`
+      INSERT INTO feedback_status_history (feedback_id, from_status, to_status, assignee)
+      VALUES (?, ?, ?, ?)
+    `).bind(record.feedback_id, current.status, status, assignee));
+  }
+
+  await db.batch(statements);
+  return getFeedbackRecord(db, record.feedback_id);
+}
+
+/**
+ * Delete an item with its analysis, label corrections, theme links and triage history
+ * (feedback_fts is kept in sync by its trigger)
+ */
+export async function deleteFeedback(db, feedbackId) {
+  await db.batch([
+    db.prepare(`DELETE FROM feedback_themes WHERE feedback_id = ?`).bind(feedbackId),
+    db.prepare(`DELETE FROM sentiment_analysis WHERE feedback_id = ?`).bind(feedbackId),
+    db.prepare(`DELETE FROM feedback_status_history WHERE feedback_id = ?`).bind(feedbackId),
+    db.prepare(`DELETE FROM label_corrections WHERE feedback_id = ?`).bind(feedbackId),
+    db.prepare(`DELETE FROM feedback_master WHERE feedback_id = ?`).bind(feedbackId)
+  ]);
+}
+
+/**
+ * Helper: Parse a JSON column, falling back when it is empty or malformed
+ */
+function parseJSON(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
@@ -0,0 +1,382 @@
+// ============================================
+// FEEDBACK QUERY MODULE
+// Shared query builder for feedback listings (/api/feedback and SearchAgent)
+// Whitelisted sorts, clamped limits, multi-value and negated filters,
+// and opaque cursors for keyset pagination
+// ============================================
+
+import { buildMatchQuery, textMatchSubquery } from './text-search.js';
+import { parseDateParam, toDateBounds } from './date-ranges.js';
+import { fnv1a } from './hash.js';
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+// Fixed vocabularies (products, sources and themes come from the database)
+export const URGENCY_LEVELS = ['Critical', 'High', 'Medium', 'Low'];
+export const SENTIMENTS = ['Positive', 'Neutral', 'Negative', 'Frustrated'];
+export const CUSTOMER_TIERS = ['Enterprise', 'Pro', 'Free'];
+
+// Triage lifecycle: new -> triaged -> in_progress -> resolved / wont_fix
+export const TRIAGE_STATUSES = ['new', 'triaged', 'in_progress', 'resolved', 'wont_fix'];
+export const OPEN_STATUSES = ['new', 'triaged', 'in_progress'];
+
+// Filterable fields -> column (themes are matched through feedback_themes)
+const FILTER_COLUMNS = {
+  urgency: 'sa.urgency',
+  sentiment: 'sa.sentiment',
+  product: 'pa.product_name',
+  tier: 'u.customer_tier',
+  source: 's.source_name',
+  status: 'fm.status',
+  theme: null
+};
+
+const FILTER_VOCABULARIES = {
+  urgency: URGENCY_LEVELS,
+  sentiment: SENTIMENTS,
+  tier: CUSTOMER_TIERS,
+  status: TRIAGE_STATUSES
+};
+
+// Sortable keys - NULLs are coalesced so cursor comparisons stay well-defined
+const SORT_KEYS = {
+  urgency_score: 'COALESCE(fm.urgency_score, -1)',
+  value_score: 'COALESCE(fm.value_score, -1)',
+  created_date: `COALESCE(fm.created_date, '')`,
+  text_score: 'fts.text_score',
+  feedback_id: 'fm.feedback_id'
+};
+
+// Appended after the requested sort; feedback_id makes the order unique
+const TIE_BREAKERS = ['urgency_score', 'created_date', 'feedback_id'];
+
+const SELECT_COLUMNS = `
+      fm.feedback_id,
+      fm.original_id,
+      fm.feedback_text,
+      fm.created_date,
+      fm.urgency_score,
+      fm.value_score,
+      fm.status,
+      fm.assignee,
+      u.email,
+      u.username,
+      u.customer_tier,
+      pa.product_name,
+      pa.category AS product_category,
+      s.source_name,
+      sa.sentiment,
+      sa.urgency,
+      sa.ai_summary,
+      sa.injection_flag,
+      (SELECT GROUP_CONCAT(t.theme_name)
+       FROM feedback_themes ft JOIN themes t ON ft.theme_id = t.theme_id
+       WHERE ft.feedback_id = fm.feedback_id) AS themes`;
+
+/**
+ * FROM clause and WHERE conditions for a set of filters
+ * filters: {
+ *   urgency, sentiment, product, tier, source, status, theme  - a value or a list (any of)
+ *   exclude: { same fields }                          - values to leave out
+ *   flagged: true / false                             - prompt-injection flag (see prompt-safety.js)
+ *   customer: user_id                                 - one customer's feedback (customers.js)
+ *   text, dateFrom, dateTo,
+ *   periods: [{ dateFrom, dateTo }]                   - rows from any of them (compared periods)
+ *   feedbackIds: [[ids], ...]                         - each list restricts the rows further
+ * }
+ * Returns: { fromClause, conditions, params, matchQuery }
+ */
+export function buildFilterClause(filters = {}) {
+  const matchQuery = filters.text ? buildMatchQuery(filters.text) : null;
+
+  const fromClause = `
+      FROM feedback_master fm
+      LEFT JOIN users u ON fm.user_id = u.user_id
+      LEFT JOIN product_areas pa ON fm.product_area_id = pa.product_area_id
+      LEFT JOIN sources s ON fm.source_id = s.source_id
+      LEFT JOIN sentiment_analysis sa ON fm.feedback_id = sa.feedback_id
+      ${matchQuery ? `JOIN ${textMatchSubquery()} fts ON fts.feedback_id = fm.feedback_id` : ''}`;
+
+  const conditions = [];
+  const params = matchQuery ? [matchQuery] : [];
+
+  for (const [field, column] of Object.entries(FILTER_COLUMNS)) {
+    const included = toList(filters[field]);
+    const excluded = toList(filters.exclude?.[field]);
+
+    if (field === 'theme') {
+      // Partial theme names match ("billing" -> "Billing Concerns")
+      const themeMatch = values => `EXISTS (
+        SELECT 1 FROM feedback_themes ft JOIN themes t ON ft.theme_id = t.theme_id
+        WHERE ft.feedback_id = fm.feedback_id AND (${values.map(() => 't.theme_name LIKE ?').join(' OR ')}))`;
+      if (included.length > 0) {
+        conditions.push(themeMatch(included));
+        params.push(...included.map(value => `%${value}%`));
+      }
+      if (excluded.length > 0) {
+        conditions.push(`NOT ${themeMatch(excluded)}`);
+        params.push(...excluded.map(value => `%${value}%`));
+      }
+      continue;
+    }
+
+    if (included.length > 0) {
+      conditions.push(included.length === 1 ? `${column} = ?` : `${column} IN (${placeholders(included)})`);
+      params.push(...included);
+    }
+    // Rows without a value aren't excluded ("not Enterprise" keeps feedback with no tier)
+    if (excluded.length > 0) {
+      conditions.push(`(${column} IS NULL OR ${column} NOT IN (${placeholders(excluded)}))`);
+      params.push(...excluded);
+    }
+  }
+
+  if (filters.flagged !== undefined) {
+    conditions.push(filters.flagged ? 'sa.injection_flag = 1' : 'COALESCE(sa.injection_flag, 0) = 0');
+  }
+
+  if (filters.customer !== undefined) {
+    conditions.push('fm.user_id = ?');
+    params.push(filters.customer);
+  }
+
+  const { start, end } = toDateBounds(filters.dateFrom, filters.dateTo);
+  if (start) {
+    conditions.push(`fm.created_date >= ?`);
+    params.push(start);
+  }
+  if (end) {
+    conditions.push(`fm.created_date < ?`);
+    params.push(end);
+  }
+
+  if (filters.periods?.length) {
+    const bounds = filters.periods.map(period => toDateBounds(period.dateFrom, period.dateTo));
+    conditions.push(`(${bounds.map(() => '(fm.created_date >= ? AND fm.created_date < ?)').join(' OR ')})`);
+    bounds.forEach(({ start, end }) => params.push(start, end));
+  }
+
+  // One JSON parameter per list - D1 caps a statement at 100 bound parameters
+  for (const ids of filters.feedbackIds || []) {
+    if (!ids?.length) continue;
+    conditions.push('fm.feedback_id IN (SELECT value FROM json_each(?))');
+    params.push(JSON.stringify(ids));
+  }
+
+  return { fromClause, conditions, params, matchQuery };
+}
+
+/**
+ * Page of feedback rows
+ * options: { sort, direction, limit, cursor } - validated here; bad values throw
+ * Fetches limit + 1 rows - pass the rows through paginate()
+ * Returns: { sql, params, limit, sort: { by, direction, keys }, matchQuery, scope }
+ */
+export function buildFeedbackQuery(filters = {}, options = {}) {
+  const clause = buildFilterClause(filters);
+  const sort = resolveSort(options.sort, options.direction, Boolean(clause.matchQuery));
+  const limit = clampLimit(options.limit);
+  const scope = cursorScope(filters, sort);
+
+  const keys = sort.keys.map(key => SORT_KEYS[key]);
+  const conditions = [...clause.conditions];
+  const params = [...clause.params];
+
+  // Keyset pagination: rows strictly after the cursor in sort order
+  if (options.cursor) {
+    const values = decodeCursor(options.cursor, scope, keys.length);
+    conditions.push(`(${keys.join(', ')}) ${sort.direction === 'asc' ? '>' : '<'} (${placeholders(values)})`);
+    params.push(...values);
+  }
+
+  const direction = sort.direction.toUpperCase();
+  const sql = `
+    SELECT ${SELECT_COLUMNS}${clause.matchQuery ? ',\n      fts.snippet,\n      fts.text_score' : ''},
+      ${keys.map((key, i) => `${key} AS _cursor_${i}`).join(', ')}
+    ${clause.fromClause}
+    WHERE 1=1${conditions.map(condition => ` AND ${condition}`).join('')}
+    ORDER BY ${keys.map(key => `${key} ${direction}`).join(', ')}
+    LIMIT ?`;
+
+  return { sql, params: [...params, limit + 1], limit, sort, matchQuery: clause.matchQuery, scope };
+}
+
+/**
+ * Trim the fetched rows to the page and build the cursor for the next one
+ * Returns: { rows, nextCursor } (nextCursor is null on the last page)
+ */
+export function paginate(rows, query) {
+  const page = rows.slice(0, query.limit);
+  const last = page[page.length - 1];
+  const nextCursor = rows.length > query.limit
+    ? encodeCursor(query.sort.keys.map((key, i) => last[`_cursor_${i}`]), query.scope)
+    : null;
+
+  for (const row of page) {
+    query.sort.keys.forEach((key, i) => delete row[`_cursor_${i}`]);
+  }
+  return { rows: page, nextCursor };
+}
+
+/**
+ * Sort key and direction from user input (whitelisted)
+ * Default: best text match first when searching text, otherwise most urgent first
+ * Returns: { by, direction: 'asc' | 'desc', keys }
+ */
+export function resolveSort(sort, direction, hasTextMatch = false) {
+  const by = sort ? String(sort).trim().toLowerCase() : (hasTextMatch ? 'text_score' : 'urgency_score');
+  if (!SORT_KEYS[by]) {
+    throw new Error(`sort must be one of ${Object.keys(SORT_KEYS).join(', ')}`);
+  }
+  if (by === 'text_score' && !hasTextMatch) {
+    throw new Error('sort=text_score needs a text query (q)');
+  }
+
+  const dir = direction ? String(direction).trim().toLowerCase() : 'desc';
+  if (dir !== 'asc' && dir !== 'desc') {
+    throw new Error('direction must be asc or desc');
+  }
+
+  return { by, direction: dir, keys: [by, ...TIE_BREAKERS.filter(key => key !== by)] };
+}
+
+/**
+ * Page size from user input: an integer between 1 and MAX_LIMIT
+ */
+export function clampLimit(value, fallback = DEFAULT_LIMIT) {
+  const limit = parseInt(value);
+  if (!Number.isFinite(limit)) return fallback;
+  return Math.min(MAX_LIMIT, Math.max(1, limit));
+}
+
+/**
+ * Filters from /api/feedback query parameters
+ * source=Discord,Forum (any of), -tier=Free (exclude), theme=billing (partial name), status=open,
+ * flagged=true (possible prompt injection), customer=<user_id>, q= (full-text), from= / to= (dates);
+ * throws on invalid values
+ */
+export function filtersFromParams(params) {
+  const filters = { exclude: {} };
+
+  for (const field of Object.keys(FILTER_COLUMNS)) {
+    const included = normalizeValues(expandAliases(parseListParam(params.getAll(field)), field), field);
+    const excluded = normalizeValues(expandAliases(parseListParam(params.getAll(`-${field}`)), field), `-${field}`);
+    if (included.length > 0) filters[field] = included;
+    if (excluded.length > 0) filters.exclude[field] = excluded;
+  }
+
+  const flagged = params.get('flagged');
+  if (flagged !== null && flagged !== '') {
+    if (!['true', 'false'].includes(flagged)) throw new Error('flagged must be true or false');
+    filters.flagged = flagged === 'true';
+  }
+
+  const customer = params.get('customer');
+  if (customer !== null && customer !== '') {
+    if (!/^\d+$/.test(customer)) throw new Error('customer must be a user id');
+    filters.customer = parseInt(customer);
+  }
+
+  const text = params.get('q');
+  if (text) {
+    if (!buildMatchQuery(text)) throw new Error('q has no searchable terms');
+    filters.text = text;
+  }
+
+  // YYYY-MM-DD (whole day, inclusive) or ISO timestamps
+  if (params.get('from')) filters.dateFrom = parseDateParam(params.get('from'), 'from');
+  if (params.get('to')) filters.dateTo = parseDateParam(params.get('to'), 'to');
+  const { start, end } = toDateBounds(filters.dateFrom, filters.dateTo);
+  if (start && end && start >= end) {
+    throw new Error('from must be before to');
+  }
+
+  return filters;
+}
+
+/**
+ * Triage status from user input: "In Progress", "won't fix", "wont-fix" -> in_progress, wont_fix
+ * Returns: the status or null when it isn't one
+ */
+export function normalizeStatus(value) {
+  const status = String(value ?? '').trim().toLowerCase().replace(/['’]/g, '').replace(/[\s-]+/g, '_');
+  return TRIAGE_STATUSES.includes(status) ? status : null;
+}
+
+/**
+ * Helper: "Discord,Forum" and repeated parameters -> ['Discord', 'Forum']
+ */
+function parseListParam(values) {
+  return values
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Helper: status=open is shorthand for every status that isn't closed
+ */
+function expandAliases(values, field) {
+  if (field !== 'status') return values;
+  return [...new Set(values.flatMap(value => value.toLowerCase() === 'open' ? OPEN_STATUSES : [value]))];
+}
+
+/**
+ * Helper: Fixed-vocabulary values are matched case-insensitively; unknown ones throw
+ */
+function normalizeValues(values, name) {
+  const allowed = FILTER_VOCABULARIES[name.replace(/^-/, '')];
+  if (!allowed) return values;
+
+  return values.map(value => {
+    const match = allowed === TRIAGE_STATUSES
+      ? normalizeStatus(value)
+      : allowed.find(option => option.toLowerCase() === value.toLowerCase());
+    if (!match) throw new Error(`${name} must be one of ${allowed.join(', ')} (got "${value}")`);
+    return match;
+  });
+}
+
+function toList(value) {
+  if (value === null || value === undefined || value === '') return [];
+  return [].concat(value).filter(v => v !== null && v !== undefined && v !== '');
+}
+
+function placeholders(values) {
+  return values.map(() => '?').join(',');
+}
+
+/**
+ * Helper: Cursors only apply to the query they came from (same filters and sort)
+ */
+function cursorScope(filters, sort) {
+  const text = JSON.stringify({ filters, by: sort.by, direction: sort.direction });
+  return fnv1a(text).toString(36);
+}
+
+function encodeCursor(values, scope) {
+  const bytes = new TextEncoder().encode(JSON.stringify({ k: values, s: scope }));
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor, scope, keyCount) {
+  let decoded;
+  try {
+    const binary = atob(String(cursor).replace(/-/g, '+').replace(/_/g, '/'));
+    decoded = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!Array.isArray(decoded?.k) || decoded.k.length !== keyCount ||
+      decoded.k.some(value => typeof value !== 'number' && typeof value !== 'string')) {
+    throw new Error('Invalid cursor');
+  }
+  if (decoded.s !== scope) {
+    throw new Error('cursor belongs to a different query - keep the same filters and sort when paging');
+  }
+  return decoded.k;
+}
@@ -0,0 +1,16 @@
+// ============================================
+// HASH MODULE
+// FNV-1a (32-bit) for short, stable keys derived from text. Not cryptographic
+// ============================================
+
+/**
+ * FNV-1a hash of a string
+ * Returns: unsigned 32-bit integer
+ */
+export function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash;
+}
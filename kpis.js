@@ -0,0 +1,222 @@
+// ============================================
+// KPIS MODULE
+// Dashboard KPIs for a date window with the same metrics as v_kpi_dashboard,
+// a comparison period (previous window or a year earlier) and sparkline series
+// ============================================
+
+import { buildFilterClause } from './feedback-query.js';
+import { toDateBounds } from './date-ranges.js';
+import { TREND_INTERVALS, listPeriods } from './trends.js';
+
+const DAY_MS = 86400000;
+
+/**
+ * Metrics - the same definitions as v_kpi_dashboard (schema.sql); keep the two in step
+ * average: averages change in points and are null over an empty window
+ */
+export const KPI_METRICS = {
+  total_feedback: { expr: 'COUNT(DISTINCT fm.feedback_id)' },
+  critical_count: { expr: `COUNT(DISTINCT CASE WHEN sa.urgency = 'Critical' THEN fm.feedback_id END)` },
+  high_count: { expr: `COUNT(DISTINCT CASE WHEN sa.urgency = 'High' THEN fm.feedback_id END)` },
+  negative_count: { expr: `COUNT(DISTINCT CASE WHEN sa.sentiment = 'Negative' THEN fm.feedback_id END)` },
+  positive_count: { expr: `COUNT(DISTINCT CASE WHEN sa.sentiment = 'Positive' THEN fm.feedback_id END)` },
+  enterprise_feedback: { expr: `COUNT(DISTINCT CASE WHEN u.customer_tier = 'Enterprise' THEN fm.feedback_id END)` },
+  unique_users: { expr: 'COUNT(DISTINCT u.user_id)' },
+  avg_urgency_score: { expr: 'AVG(fm.urgency_score)', average: true },
+  avg_value_score: { expr: 'AVG(fm.value_score)', average: true },
+  corrected_count: { expr: `COUNT(DISTINCT CASE WHEN sa.corrected_at IS NOT NULL THEN fm.feedback_id END)` },
+  flagged_count: { expr: `COUNT(DISTINCT CASE WHEN sa.injection_flag = 1 THEN fm.feedback_id END)` }
+};
+
+export const COMPARISONS = ['previous', 'year', 'none'];
+export const MAX_KPI_DAYS = 366;
+
+/**
+ * compare= and days= from /api/kpis query parameters; throws on invalid values
+ *   compare: previous (the window just before, default), year (a year earlier) or none
+ *   days: window length ending at to (or at the latest feedback) - instead of from
+ */
+export function kpiOptionsFromParams(params) {
+  const compare = (params.get('compare') || 'previous').trim().toLowerCase();
+  if (!COMPARISONS.includes(compare)) {
+    throw new Error(`compare must be one of ${COMPARISONS.join(', ')}`);
+  }
+
+  let days = null;
+  if (params.get('days')) {
+    days = Number(params.get('days'));
+    if (!Number.isInteger(days) || days < 1 || days > MAX_KPI_DAYS) {
+      throw new Error(`days must be an integer from 1 to ${MAX_KPI_DAYS}`);
+    }
+    if (params.get('from')) throw new Error('Use either from or days, not both');
+  }
+
+  return { compare, days };
+}
+
+/**
+ * KPIs for the window in filters (dateFrom / dateTo) plus the comparison period
+ * A window without an end runs to the end of the day of the latest feedback; without
+ * any dates the KPIs are all-time and there is nothing to compare with
+ * Returns: {
+ *   kpis: { metric: value },
+ *   period: { from, to, sparkline_interval }, comparison: { type, from, to } | null,
+ *   metrics: { metric: { value, previous, change, change_pct, sparkline: [values] } },
+ *   sparkline_periods: [YYYY-MM-DD]
+ * }
+ */
+export async function getKpis(db, filters = {}, { compare = 'previous', days = null } = {}) {
+  const range = await db.prepare(`
+    SELECT MIN(created_date) AS first, MAX(created_date) AS last FROM feedback_master
+  `).first();
+  const latestEnd = addDays(startOfDay(range?.last ? new Date(range.last) : new Date()), 1);
+
+  const bounds = toDateBounds(filters.dateFrom, filters.dateTo);
+  let start = bounds.start ? new Date(bounds.start) : null;
+  let end = bounds.end ? new Date(bounds.end) : null;
+  if (days) {
+    end = end || latestEnd;
+    start = addDays(end, -days);
+  } else if (start && !end) {
+    end = new Date(Math.max(latestEnd.getTime(), addDays(start, 1).getTime()));
+  }
+
+  const current = await queryMetrics(db, windowFilters(filters, start, end));
+
+  let comparison = null;
+  let previous = null;
+  if (start && end && compare !== 'none') {
+    const [previousStart, previousEnd] = compare === 'year'
+      ? [addYears(start, -1), addYears(end, -1)]
+      : [new Date(start.getTime() - (end.getTime() - start.getTime())), start];
+    comparison = { type: compare, ...describeWindow(previousStart, previousEnd) };
+    previous = await queryMetrics(db, windowFilters(filters, previousStart, previousEnd));
+  }
+
+  // Sparklines cover the window (all-time: the span of the feedback)
+  const sparkStart = start || (range?.first ? new Date(range.first) : null);
+  const sparkEnd = end || latestEnd;
+  const interval = sparklineInterval(sparkStart, sparkEnd);
+  const periods = sparkStart && sparkStart < sparkEnd
+    ? listPeriods(sparkStart, new Date(sparkEnd.getTime() - 1), interval)
+    : [];
+  const series = periods.length > 0
+    ? await querySeries(db, windowFilters(filters, start, end), interval)
+    : new Map();
+
+  const metrics = {};
+  for (const [name, metric] of Object.entries(KPI_METRICS)) {
+    const value = current[name];
+    const before = previous ? previous[name] : null;
+    const comparable = value !== null && before !== null && before !== undefined;
+    metrics[name] = {
+      value,
+      previous: before,
+      change: comparable ? round(value - before) : null,
+      change_pct: comparable && before !== 0 ? Math.round((value - before) / before * 1000) / 10 : null,
+      sparkline: periods.map(period => {
+        const row = series.get(period);
+        if (!row) return metric.average ? null : 0;
+        return row[name];
+      })
+    };
+  }
+
+  return {
+    kpis: current,
+    period: { ...(start && end ? describeWindow(start, end) : { from: null, to: null }), sparkline_interval: interval },
+    comparison,
+    metrics,
+    sparkline_periods: periods
+  };
+}
+
+/**
+ * Helper: Filters with the window as ISO bounds (dateTo is inclusive, so end - 1ms)
+ */
+function windowFilters(filters, start, end) {
+  return {
+    ...filters,
+    dateFrom: start ? start.toISOString() : undefined,
+    dateTo: end ? new Date(end.getTime() - 1).toISOString() : undefined
+  };
+}
+
+/**
+ * Helper: All metrics for one set of filters
+ */
+async function queryMetrics(db, filters) {
+  const clause = buildFilterClause(filters);
+  const row = await db.prepare(`
+    SELECT ${metricColumns()}
+    ${clause.fromClause}
+    WHERE 1=1${clause.conditions.map(c => ` AND ${c}`).join('')}
+  `).bind(...clause.params).first();
+
+  return Object.fromEntries(Object.keys(KPI_METRICS).map(name => [name, round(row?.[name] ?? null)]));
+}
+
+/**
+ * Helper: Metrics per sparkline bucket
+ * Returns: Map period -> { metric: value }
+ */
+async function querySeries(db, filters, interval) {
+  const clause = buildFilterClause(filters);
+  const result = await db.prepare(`
+    SELECT ${TREND_INTERVALS[interval].expr} AS period, ${metricColumns()}
+    ${clause.fromClause}
+    WHERE fm.created_date IS NOT NULL${clause.conditions.map(c => ` AND ${c}`).join('')}
+    GROUP BY period
+  `).bind(...clause.params).all();
+
+  return new Map((result.results || []).map(row => [
+    row.period,
+    Object.fromEntries(Object.keys(KPI_METRICS).map(name => [name, round(row[name])]))
+  ]));
+}
+
+function metricColumns() {
+  return Object.entries(KPI_METRICS).map(([name, metric]) => `${metric.expr} AS ${name}`).join(', ');
+}
+
+/**
+ * Helper: Daily points up to a month, weekly up to half a year, monthly beyond
+ */
+function sparklineInterval(start, end) {
+  const days = start ? (end.getTime() - start.getTime()) / DAY_MS : Infinity;
+  if (days <= 31) return 'day';
+  if (days <= 183) return 'week';
+  return 'month';
+}
+
+/**
+ * Helper: [start, end) as inclusive from / to - whole days as YYYY-MM-DD, otherwise ISO timestamps
+ */
+function describeWindow(start, end) {
+  const whole = start.getTime() % DAY_MS === 0 && end.getTime() % DAY_MS === 0;
+  return whole
+    ? { from: formatDay(start), to: formatDay(addDays(end, -1)) }
+    : { from: start.toISOString(), to: new Date(end.getTime() - 1).toISOString() };
+}
+
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function addYears(date, years) {
+  const shifted = new Date(date.getTime());
+  shifted.setUTCFullYear(shifted.getUTCFullYear() + years);
+  return shifted;
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function round(value) {
+  return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
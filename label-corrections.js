@@ -0,0 +1,254 @@
+// ============================================
+// LABEL CORRECTIONS MODULE
+// Analyst overrides of AI labels (sentiment, urgency, value score, themes)
+// Corrected values replace the labels in sentiment_analysis, so views, KPIs and
+// search use them; label_corrections keeps the AI originals and every change
+// ============================================
+
+import { SENTIMENTS, URGENCY_LEVELS } from './feedback-query.js';
+
+export const CORRECTABLE_FIELDS = ['sentiment', 'urgency', 'value_score', 'themes'];
+
+// Few-shot examples passed to the analysis prompts
+const MAX_EXAMPLES = 5;
+
+/**
+ * Validate requested corrections against the vocabularies and the theme taxonomy
+ * body: { sentiment?, urgency?, value_score?, themes? }
+ * taxonomy: [{ name }] from loadThemeTaxonomy()
+ * Returns: { field: canonical value } - throws on invalid values
+ */
+export function validateCorrections(body, taxonomy) {
+  const changes = {};
+
+  const pick = (field, allowed) => {
+    const match = allowed.find(option => option.toLowerCase() === String(body[field]).trim().toLowerCase());
+    if (!match) throw new Error(`${field} must be one of ${allowed.join(', ')}`);
+    return match;
+  };
+
+  if (body.sentiment !== undefined) changes.sentiment = pick('sentiment', SENTIMENTS);
+  if (body.urgency !== undefined) changes.urgency = pick('urgency', URGENCY_LEVELS);
+
+  if (body.value_score !== undefined) {
+    const score = Number(body.value_score);
+    if (!Number.isInteger(score) || score < 1 || score > 10) {
+      throw new Error('value_score must be an integer from 1 to 10');
+    }
+    changes.value_score = score;
+  }
+
+  if (body.themes !== undefined) {
+    if (!Array.isArray(body.themes)) throw new Error('themes must be a list of theme names');
+    const byName = new Map(taxonomy.map(theme => [theme.name.toLowerCase(), theme.name]));
+    const unknown = body.themes.filter(name => !byName.has(String(name).trim().toLowerCase()));
+    if (unknown.length > 0) throw new Error(`Unknown theme(s): ${unknown.join(', ')}`);
+    changes.themes = [...new Set(body.themes.map(name => byName.get(String(name).trim().toLowerCase())))];
+  }
+
+  return changes;
+}
+
+/**
+ * Current labels of an item
+ * Returns: { analysis_id, sentiment, urgency, value_score, themes, model_used } or null
+ */
+export async function getCurrentLabels(db, feedbackId) {
+  const row = await db.prepare(`
+    SELECT analysis_id, sentiment, urgency, value_score, extracted_themes, model_used
+    FROM sentiment_analysis
+    WHERE feedback_id = ?
+  `).bind(feedbackId).first();
+
+  if (!row) return null;
+  return { ...row, themes: parseThemes(row.extracted_themes) };
+}
+
+/**
+ * Apply corrections: labels are overwritten, each changed field gets a history row
+ * changes: from validateCorrections(); fields equal to the current label are skipped
+ * Returns: [correction] that were recorded (empty when nothing changed)
+ */
+export async function applyCorrections(db, feedbackId, changes, { correctedBy = null, reason = null } = {}) {
+  const current = await getCurrentLabels(db, feedbackId);
+  const changed = Object.keys(changes).filter(field => !sameValue(field, current?.[field], changes[field]));
+  if (changed.length === 0) return [];
+
+  // The first correction of a field records what the model said; later ones carry it over
+  const history = await getCorrections(db, feedbackId);
+  const analyzed = current && current.model_used !== 'pending';
+  const aiValue = field => {
+    const first = history.filter(c => c.field === field).pop();
+    if (first) return first.ai_value;
+    return analyzed ? current[field] : null;
+  };
+
+  const statements = [];
+
+  if (!current) {
+    // Never analyzed - the correction becomes the analysis
+    statements.push(db.prepare(`
+      INSERT INTO sentiment_analysis (feedback_id, extracted_themes, model_used, confidence_score)
+      VALUES (?, '[]', 'pending', 0)
+    `).bind(feedbackId));
+  }
+
+  const labelColumns = { sentiment: 'sentiment', urgency: 'urgency', value_score: 'value_score', themes: 'extracted_themes' };
+  const assignments = changed.map(field => `${labelColumns[field]} = ?`);
+  statements.push(db.prepare(`
+    UPDATE sentiment_analysis
+    SET ${assignments.join(', ')}, corrected_at = datetime('now')
+    WHERE feedback_id = ?
+  `).bind(...changed.map(field => field === 'themes' ? JSON.stringify(changes.themes) : changes[field]), feedbackId));
+
+  // The value score is also kept on the feedback row (dashboard averages, search sorting)
+  if (changed.includes('value_score')) {
+    statements.push(db.prepare(`
+      UPDATE feedback_master SET value_score = ?, updated_at = datetime('now') WHERE feedback_id = ?
+    `).bind(changes.value_score, feedbackId));
+  }
+
+  // Theme links follow the corrected list
+  if (changed.includes('themes')) {
+    statements.push(db.prepare(`DELETE FROM feedback_themes WHERE feedback_id = ?`).bind(feedbackId));
+    for (const themeName of changes.themes) {
+      statements.push(db.prepare(`
+        INSERT OR IGNORE INTO feedback_themes (feedback_id, theme_id, confidence_score)
+        SELECT ?, theme_id, 1.0 FROM themes WHERE theme_name = ?
+      `).bind(feedbackId, themeName));
+    }
+  }
+
+  for (const field of changed) {
+    statements.push(db.prepare(`
+      INSERT INTO label_corrections
+        (feedback_id, field, ai_value, previous_value, corrected_value, corrected_by, reason)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      feedbackId,
+      field,
+      serialize(aiValue(field)),
+      serialize(current?.[field] ?? null),
+      serialize(changes[field]),
+      correctedBy,
+      reason
+    ));
+  }
+
+  await db.batch(statements);
+  return (await getCorrections(db, feedbackId)).slice(0, changed.length);
+}
+
+/**
+ * Correction history of an item, newest first
+ */
+export async function getCorrections(db, feedbackId) {
+  const result = await db.prepare(`
+    SELECT correction_id, field, ai_value, previous_value, corrected_value, corrected_by, reason, corrected_at
+    FROM label_corrections
+    WHERE feedback_id = ?
+    ORDER BY correction_id DESC
+  `).bind(feedbackId).all();
+
+  return (result.results || []).map(parseCorrection);
+}
+
+/**
+ * Fields an analyst has corrected - re-analysis must not overwrite them
+ * Returns: Set of field names
+ */
+export async function getCorrectedFields(db, feedbackId) {
+  const result = await db.prepare(`
+    SELECT DISTINCT field FROM label_corrections WHERE feedback_id = ?
+  `).bind(feedbackId).all();
+
+  return new Set((result.results || []).map(row => row.field));
+}
+
+/**
+ * Recently corrected items as few-shot examples for the analysis prompts
+ * Returns: { sentiment: [{ text, sentiment, urgency, valueScore }], themes: [{ text, themes }] }
+ */
+export async function loadCorrectionExamples(db, limit = MAX_EXAMPLES) {
+  const result = await db.prepare(`
+    SELECT
+      fm.feedback_text,
+      sa.sentiment,
+      sa.urgency,
+      sa.value_score,
+      sa.extracted_themes,
+      GROUP_CONCAT(DISTINCT lc.field) AS fields,
+      MAX(lc.correction_id) AS latest
+    FROM label_corrections lc
+    JOIN feedback_master fm ON lc.feedback_id = fm.feedback_id
+    JOIN sentiment_analysis sa ON sa.feedback_id = fm.feedback_id
+    GROUP BY lc.feedback_id
+    ORDER BY latest DESC
+    LIMIT ?
+  `).bind(limit * 2).all();
+
+  const examples = { sentiment: [], themes: [] };
+  for (const row of result.results || []) {
+    const fields = String(row.fields).split(',');
+    const text = row.feedback_text.slice(0, 300);
+
+    if (fields.some(field => field !== 'themes') && examples.sentiment.length < limit) {
+      examples.sentiment.push({
+        text,
+        sentiment: row.sentiment,
+        urgency: row.urgency,
+        valueScore: row.value_score
+      });
+    }
+    if (fields.includes('themes') && examples.themes.length < limit) {
+      examples.themes.push({ text, themes: parseThemes(row.extracted_themes) });
+    }
+  }
+
+  return examples;
+}
+
+/**
+ * Helper: Compare a label with a requested value (theme order doesn't matter)
+ */
+function sameValue(field, current, requested) {
+  if (field === 'themes') {
+    const a = [...(current || [])].sort();
+    const b = [...requested].sort();
+    return a.length === b.length && a.every((name, i) => name === b[i]);
+  }
+  return current === requested;
+}
+
+function serialize(value) {
+  if (value === null || value === undefined) return null;
+  return Array.isArray(value) ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Helper: History row with values in their natural types
+ */
+function parseCorrection(row) {
+  const parse = value => {
+    if (value === null || value === undefined) return null;
+    if (row.field === 'themes') return parseThemes(value);
+    if (row.field === 'value_score') return Number(value);
+    return value;
+  };
+
+  return {
+    ...row,
+    ai_value: parse(row.ai_value),
+    previous_value: parse(row.previous_value),
+    corrected_value: parse(row.corrected_value)
+  };
+}
+
+function parseThemes(value) {
+  try {
+    const themes = JSON.parse(value || '[]');
+    return Array.isArray(themes) ? themes : [];
+  } catch {
+    return [];
+  }
+}
@@ -3,9 +3,17 @@
 -- ============================================
 
 -- Drop tables if they exist (for clean setup)
+DROP TABLE IF EXISTS scoring_configs;
+DROP TABLE IF EXISTS alerts;
+DROP TABLE IF EXISTS search_turns;
+DROP TABLE IF EXISTS ai_validation_stats;
+DROP TABLE IF EXISTS feedback_status_history;
+DROP TABLE IF EXISTS label_corrections;
+DROP TABLE IF EXISTS theme_candidates;
 DROP TABLE IF EXISTS feedback_themes;
 DROP TABLE IF EXISTS sentiment_analysis;
 DROP TABLE IF EXISTS themes;
+DROP TABLE IF EXISTS feedback_fts;
 DROP TABLE IF EXISTS feedback_master;
 DROP TABLE IF EXISTS product_areas;
 DROP TABLE IF EXISTS sources;
@@ -54,8 +62,13 @@ CREATE TABLE themes (
     theme_id INTEGER PRIMARY KEY AUTOINCREMENT,
     theme_name TEXT NOT NULL UNIQUE,
     category TEXT,
-    keywords TEXT,
-    created_at TEXT DEFAULT (datetime('now'))
+    keywords TEXT,  -- Comma-separated; drives the AI prompt and keyword fallback
+    status TEXT DEFAULT 'active' CHECK(status IN ('active', 'retired')),
+    merged_into INTEGER,  -- Set when a theme was merged into another
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now')),
+    
+    FOREIGN KEY (merged_into) REFERENCES themes(theme_id)
 );
 
 CREATE INDEX idx_theme_name ON themes(theme_name);
@@ -79,12 +92,22 @@ CREATE TABLE feedback_master (
     
     -- Temporal
     created_date TEXT NOT NULL,
-    resolved_date TEXT,
+    resolved_date TEXT,  -- From the source, or set when triage resolves the item
+    
+    -- Triage workflow: new -> triaged -> in_progress -> resolved / wont_fix
+    status TEXT NOT NULL DEFAULT 'new'
+        CHECK(status IN ('new', 'triaged', 'in_progress', 'resolved', 'wont_fix')),
+    assignee TEXT,
+    triage_notes TEXT,
+    triaged_at TEXT,         -- First time the item left 'new'
+    status_changed_at TEXT,
     
     -- Calculated scores (from AI)
     urgency_score INTEGER CHECK(urgency_score BETWEEN 1 AND 10),
     value_score INTEGER CHECK(value_score BETWEEN 1 AND 10),
     engagement_score REAL DEFAULT 0,
+    score_breakdown TEXT,      -- JSON: rules that fired and their points, plus the scoring inputs (scoring.js)
+    scoring_version INTEGER,   -- scoring_configs version the scores were calculated with (0 = built-in defaults)
     
     -- Metadata
     metadata TEXT,  -- JSON field for source-specific data
@@ -104,6 +127,39 @@ CREATE INDEX idx_feedback_product ON feedback_master(product_area_id);
 CREATE INDEX idx_feedback_created ON feedback_master(created_date);
 CREATE INDEX idx_feedback_urgency ON feedback_master(urgency_score);
 CREATE INDEX idx_feedback_original_id ON feedback_master(original_id);
+CREATE INDEX idx_feedback_status ON feedback_master(status);
+CREATE INDEX idx_feedback_scoring_version ON feedback_master(scoring_version);
+-- Re-uploads upsert on (source, original_id); NULL original_ids never collide
+CREATE UNIQUE INDEX idx_feedback_source_original ON feedback_master(source_id, original_id);
+
+-- ============================================
+-- FULL-TEXT SEARCH
+-- ============================================
+
+-- FTS5 index over feedback_text (external content: text lives in feedback_master)
+CREATE VIRTUAL TABLE feedback_fts USING fts5(
+    feedback_text,
+    content='feedback_master',
+    content_rowid='feedback_id',
+    tokenize='unicode61 remove_diacritics 2'
+);
+
+-- Keep feedback_fts in sync with feedback_master
+CREATE TRIGGER feedback_fts_insert AFTER INSERT ON feedback_master BEGIN
+    INSERT INTO feedback_fts(rowid, feedback_text) VALUES (new.feedback_id, new.feedback_text);
+END;
+
+CREATE TRIGGER feedback_fts_delete AFTER DELETE ON feedback_master BEGIN
+    INSERT INTO feedback_fts(feedback_fts, rowid, feedback_text) VALUES ('delete', old.feedback_id, old.feedback_text);
+END;
+
+CREATE TRIGGER feedback_fts_update AFTER UPDATE OF feedback_text ON feedback_master BEGIN
+    INSERT INTO feedback_fts(feedback_fts, rowid, feedback_text) VALUES ('delete', old.feedback_id, old.feedback_text);
+    INSERT INTO feedback_fts(rowid, feedback_text) VALUES (new.feedback_id, new.feedback_text);
+END;
+
+-- Existing databases: create the table and triggers above, then backfill with
+-- INSERT INTO feedback_fts(feedback_fts) VALUES ('rebuild');
 
 -- ============================================
 -- ANALYSIS TABLES
@@ -124,16 +180,35 @@ CREATE TABLE sentiment_analysis (
     extracted_themes TEXT,  -- JSON array of themes
     
     -- Model info
-    model_used TEXT,
+    model_used TEXT,  -- 'pending' until the background analysis job replaces the placeholder
     confidence_score REAL,
     
+    -- Background analysis retries
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TEXT,
+    
+    -- Human corrections (label_corrections): corrected fields survive re-analysis
+    corrected_at TEXT,
+    
+    -- Prompt-injection screening (prompt-safety.js): set on upload, replaced by each analysis
+    injection_flag INTEGER DEFAULT 0,  -- 1 = suspicious text, or the model followed instructions in it
+    injection_signals TEXT,            -- JSON: { signals: [...], anomalies: [...] }
+    
     analyzed_at TEXT DEFAULT (datetime('now')),
     
     FOREIGN KEY (feedback_id) REFERENCES feedback_master(feedback_id)
 );
 
-CREATE INDEX idx_sentiment_feedback ON sentiment_analysis(feedback_id);
+-- One analysis per feedback item (re-analysis updates it in place)
+CREATE UNIQUE INDEX idx_sentiment_feedback ON sentiment_analysis(feedback_id);
 CREATE INDEX idx_sentiment_urgency ON sentiment_analysis(urgency);
+CREATE INDEX idx_sentiment_model ON sentiment_analysis(model_used);
+CREATE INDEX idx_sentiment_injection ON sentiment_analysis(injection_flag);
+
+-- Existing databases:
+-- ALTER TABLE sentiment_analysis ADD COLUMN injection_flag INTEGER DEFAULT 0;
+-- ALTER TABLE sentiment_analysis ADD COLUMN injection_signals TEXT;
 
 -- ============================================
 -- BRIDGE TABLES
@@ -154,6 +229,183 @@ CREATE TABLE feedback_themes (
 CREATE INDEX idx_ft_feedback ON feedback_themes(feedback_id);
 CREATE INDEX idx_ft_theme ON feedback_themes(theme_id);
 
+-- Candidate themes proposed by clustering untagged feedback (theme-discovery.js)
+CREATE TABLE theme_candidates (
+    candidate_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    proposed_name TEXT NOT NULL,
+    category TEXT,
+    keywords TEXT,
+    size INTEGER NOT NULL,
+    representative_quotes TEXT,  -- JSON array of { feedback_id, quote }
+    members TEXT,  -- JSON array of { feedback_id, similarity }
+    status TEXT DEFAULT 'proposed' CHECK(status IN ('proposed', 'accepted', 'rejected')),
+    accepted_theme_id INTEGER,
+    created_at TEXT DEFAULT (datetime('now')),
+    reviewed_at TEXT,
+    
+    FOREIGN KEY (accepted_theme_id) REFERENCES themes(theme_id)
+);
+
+CREATE INDEX idx_candidates_status ON theme_candidates(status);
+
+-- ============================================
+-- TRIAGE
+-- ============================================
+
+-- Status changes of feedback items (PATCH /api/feedback/:id)
+CREATE TABLE feedback_status_history (
+    history_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    feedback_id INTEGER NOT NULL,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    assignee TEXT,  -- Assignee after the change
+    changed_at TEXT DEFAULT (datetime('now')),
+    
+    FOREIGN KEY (feedback_id) REFERENCES feedback_master(feedback_id)
+);
+
+CREATE INDEX idx_status_history_feedback ON feedback_status_history(feedback_id, changed_at);
+
+-- Existing databases: create the table above, then add the triage columns with
+-- ALTER TABLE feedback_master ADD COLUMN status TEXT NOT NULL DEFAULT 'new';
+-- ALTER TABLE feedback_master ADD COLUMN assignee TEXT;  (same for triage_notes, triaged_at, status_changed_at)
+-- UPDATE feedback_master SET status = 'resolved' WHERE resolved_date IS NOT NULL;
+
+-- ============================================
+-- LABEL CORRECTIONS
+-- ============================================
+
+-- Analyst overrides of AI labels (POST /api/feedback/:id/corrections)
+-- The corrected value is written to sentiment_analysis; this table keeps the history
+CREATE TABLE label_corrections (
+    correction_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    feedback_id INTEGER NOT NULL,
+    field TEXT NOT NULL CHECK(field IN ('sentiment', 'urgency', 'value_score', 'themes')),
+    ai_value TEXT,         -- What the model said (NULL if the item was never analyzed)
+    previous_value TEXT,   -- Value before this correction
+    corrected_value TEXT,  -- Themes are JSON arrays
+    corrected_by TEXT,
+    reason TEXT,
+    corrected_at TEXT DEFAULT (datetime('now')),
+    
+    FOREIGN KEY (feedback_id) REFERENCES feedback_master(feedback_id)
+);
+
+CREATE INDEX idx_corrections_feedback ON label_corrections(feedback_id, field);
+CREATE INDEX idx_corrections_recent ON label_corrections(corrected_at);
+
+-- Existing databases: create the table above, then
+-- ALTER TABLE sentiment_analysis ADD COLUMN corrected_at TEXT;
+-- and keep one analysis per item before making idx_sentiment_feedback unique:
+-- DELETE FROM sentiment_analysis WHERE analysis_id NOT IN (SELECT MAX(analysis_id) FROM sentiment_analysis GROUP BY feedback_id);
+
+-- ============================================
+-- AI OUTPUT VALIDATION
+-- ============================================
+
+-- Daily counts of model answers checked against the analysis schemas (analysis-schema.js)
+-- field '*' counts whole responses; other rows count individual fields
+CREATE TABLE ai_validation_stats (
+    day TEXT NOT NULL,         -- YYYY-MM-DD (UTC)
+    prompt TEXT NOT NULL,      -- 'themes' or 'sentiment'
+    field TEXT NOT NULL,
+    checked INTEGER DEFAULT 0,   -- Responses validated ('*' rows only)
+    invalid INTEGER DEFAULT 0,   -- Failed validation on the first answer
+    coerced INTEGER DEFAULT 0,   -- Near misses fixed in code ("high priority" -> High)
+    repaired INTEGER DEFAULT 0,  -- Fixed by the repair re-prompt
+    fallback INTEGER DEFAULT 0,  -- Still invalid after repair - keyword fallback used
+    last_error TEXT,
+    updated_at TEXT DEFAULT (datetime('now')),
+    
+    PRIMARY KEY (day, prompt, field)
+);
+
+-- Existing databases: create the table above
+
+-- ============================================
+-- ALERTS
+-- ============================================
+
+-- Theme / product anomalies found by the hourly detection job (alerts.js)
+CREATE TABLE alerts (
+    alert_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL CHECK(kind IN ('volume_spike', 'negative_share')),
+    dimension TEXT NOT NULL CHECK(dimension IN ('theme', 'product')),
+    dimension_value TEXT NOT NULL,  -- Theme or product name
+    window_start TEXT NOT NULL,     -- Recent window compared with the baseline (ISO)
+    window_end TEXT NOT NULL,
+    observed REAL,                  -- Recent count (volume_spike) or negative share (negative_share)
+    expected REAL,                  -- Baseline count scaled to the window, or baseline share
+    recent_count INTEGER,
+    baseline_count INTEGER,
+    feedback_ids TEXT,              -- JSON array of contributing feedback ids
+    
+    -- Review
+    status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'acknowledged')),
+    acknowledged_by TEXT,
+    acknowledgement_note TEXT,
+    acknowledged_at TEXT,
+    
+    -- Webhook delivery (ALERT_WEBHOOK_URLS)
+    webhook_status TEXT NOT NULL DEFAULT 'pending' CHECK(webhook_status IN ('pending', 'sent', 'failed', 'none')),
+    webhook_attempts INTEGER DEFAULT 0,
+    webhook_delivered TEXT,         -- JSON array of hashed URLs that accepted the alert
+    webhook_error TEXT,
+    next_attempt_at TEXT,           -- Backoff: no retry before this time
+    notified_at TEXT,
+    
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX idx_alerts_status ON alerts(status, alert_id);
+CREATE INDEX idx_alerts_anomaly ON alerts(dimension, dimension_value, kind, window_end);
+CREATE INDEX idx_alerts_webhook ON alerts(webhook_status, next_attempt_at);
+
+-- Existing databases: create the table above
+
+-- ============================================
+-- SCORING
+-- ============================================
+
+-- Versioned scoring weights (PUT /api/scoring/config); the latest version is active
+-- Rows scored with another version are re-scored by the recompute job
+CREATE TABLE scoring_configs (
+    version INTEGER PRIMARY KEY AUTOINCREMENT,
+    config TEXT NOT NULL,  -- JSON: urgency, value and engagement weights and keyword rules
+    note TEXT,
+    created_by TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Existing databases: create the table above, then
+-- ALTER TABLE feedback_master ADD COLUMN score_breakdown TEXT;
+-- ALTER TABLE feedback_master ADD COLUMN scoring_version INTEGER;
+-- CREATE INDEX idx_feedback_scoring_version ON feedback_master(scoring_version);
+-- Existing rows are then re-scored (with breakdowns) by the recompute job
+
+-- ============================================
+-- SEARCH SESSIONS
+-- ============================================
+
+-- One row per question in a multi-turn search session (search-sessions.js)
+CREATE TABLE search_turns (
+    turn_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    turn_index INTEGER NOT NULL,
+    query TEXT NOT NULL,
+    intent TEXT NOT NULL,  -- JSON: effective intent after merging with the previous turn
+    follow_up TEXT CHECK(follow_up IN ('refine', 'widen', 'negate')),  -- NULL = new question
+    result_type TEXT DEFAULT 'list' CHECK(result_type IN ('list', 'aggregate')),
+    result_ids TEXT,  -- JSON array of feedback_ids returned
+    result_count INTEGER DEFAULT 0,
+    response TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+
+    UNIQUE (session_id, turn_index)
+);
+
+CREATE INDEX idx_search_turns_session ON search_turns(session_id, turn_index);
+
 -- ============================================
 -- SEED DATA - COMMON LOOKUPS
 -- ============================================
@@ -181,12 +433,15 @@ INSERT INTO product_areas (product_name, category, team_owner) VALUES
     ('API', 'Platform', 'Platform Team');
 
 -- Insert common themes
+-- Existing databases: add the 'price' and 'feature' keywords with
+--   UPDATE themes SET keywords = 'billing,cost,price,pricing,expensive,surprise' WHERE theme_name = 'Billing Concerns';
+--   UPDATE themes SET keywords = 'request,feature,need,please add,would love,suggestion' WHERE theme_name = 'Feature Request';
 INSERT INTO themes (theme_name, category, keywords) VALUES
     ('API Rate Limits', 'Technical', 'rate limit,429,too restrictive,quota'),
     ('Documentation Quality', 'Developer Experience', 'docs,documentation,unclear,confusing,tutorial'),
     ('Performance Issues', 'Technical', 'slow,latency,performance,degraded,timeout'),
-    ('Billing Concerns', 'Business', 'billing,cost,pricing,expensive,surprise'),
-    ('Feature Request', 'Product', 'request,need,please add,would love,suggestion'),
+    ('Billing Concerns', 'Business', 'billing,cost,price,pricing,expensive,surprise'),
+    ('Feature Request', 'Product', 'request,feature,need,please add,would love,suggestion'),
     ('WebSocket Support', 'Feature Request', 'websocket,ws,real-time,socket'),
     ('Regional Issues', 'Infrastructure', 'region,APAC,EU,latency,geographic'),
     ('Cold Start Latency', 'Performance', 'cold start,initialization,slow start'),
@@ -201,6 +456,8 @@ INSERT INTO themes (theme_name, category, keywords) VALUES
 -- VIEWS FOR COMMON QUERIES
 -- ============================================
 
+-- Labels come from sentiment_analysis, which holds analyst corrections where there are any
+
 -- View: Feedback with all relationships
 CREATE VIEW v_feedback_full AS
 SELECT 
@@ -210,6 +467,8 @@ SELECT
     fm.created_date,
     fm.urgency_score,
     fm.value_score,
+    fm.status,
+    fm.assignee,
     u.email,
     u.username,
     u.customer_tier,
@@ -218,7 +477,9 @@ SELECT
     s.source_name,
     sa.sentiment,
     sa.urgency,
-    sa.ai_summary
+    sa.ai_summary,
+    sa.corrected_at IS NOT NULL as labels_corrected,
+    sa.injection_flag
 FROM feedback_master fm
 LEFT JOIN users u ON fm.user_id = u.user_id
 LEFT JOIN product_areas pa ON fm.product_area_id = pa.product_area_id
@@ -250,6 +511,7 @@ ORDER BY fm.urgency_score DESC, fm.created_date DESC;
 -- View: Theme summary
 CREATE VIEW v_theme_summary AS
 SELECT 
+    t.theme_id,
     t.theme_name,
     t.category,
     COUNT(DISTINCT ft.feedback_id) as feedback_count,
@@ -260,6 +522,7 @@ FROM themes t
 LEFT JOIN feedback_themes ft ON t.theme_id = ft.theme_id
 LEFT JOIN feedback_master fm ON ft.feedback_id = fm.feedback_id
 LEFT JOIN sources s ON fm.source_id = s.source_id
+WHERE t.status = 'active'
 GROUP BY t.theme_id, t.theme_name, t.category
 ORDER BY feedback_count DESC;
 
@@ -274,7 +537,9 @@ SELECT
     COUNT(DISTINCT CASE WHEN u.customer_tier = 'Enterprise' THEN fm.feedback_id END) as enterprise_feedback,
     COUNT(DISTINCT u.user_id) as unique_users,
     AVG(fm.urgency_score) as avg_urgency_score,
-    AVG(fm.value_score) as avg_value_score
+    AVG(fm.value_score) as avg_value_score,
+    COUNT(DISTINCT CASE WHEN sa.corrected_at IS NOT NULL THEN fm.feedback_id END) as corrected_count,
+    COUNT(DISTINCT CASE WHEN sa.injection_flag = 1 THEN fm.feedback_id END) as flagged_count
 FROM feedback_master fm
 LEFT JOIN users u ON fm.user_id = u.user_id
 LEFT JOIN sentiment_analysis sa ON fm.feedback_id = sa.feedback_id;
@@ -0,0 +1,444 @@
+// ============================================
+// SCORING MODULE
+// Urgency, value and engagement scores from versioned, tunable weights.
+// Every score comes with a breakdown of the rules that fired; rows scored
+// with an older config version are re-scored in batches by the recompute job
+// ============================================
+
+import { URGENCY_LEVELS, CUSTOMER_TIERS } from './feedback-query.js';
+import { detectInjection } from './prompt-safety.js';
+
+// Engagement counts the sources report (Twitter, Forum)
+export const ENGAGEMENT_METRICS = ['likes', 'retweets', 'upvotes', 'comments', 'replies', 'views'];
+
+// Urgency and value scores are stored as integers from 1 to 10 (schema CHECK)
+const MIN_SCORE = 1;
+const MAX_SCORE = 10;
+const MAX_POINTS = 100;
+const MAX_RULES = 50;
+const MAX_KEYWORDS = 50;
+
+// Rows re-scored per recompute run
+export const DEFAULT_RECOMPUTE_LIMIT = 500;
+export const MAX_RECOMPUTE_LIMIT = 1000;
+
+/**
+ * Built-in weights (version 0) - the scoring rules the pipeline always used
+ * Keywords match case-insensitively anywhere in the text; each rule counts once
+ */
+export const DEFAULT_SCORING_CONFIG = {
+  urgency: {
+    // Starting score from the source's priority / inferred urgency
+    base: { Critical: 10, High: 8, Medium: 5, Low: 3 },
+    default_base: 5,
+    rules: [
+      { id: 'urgent_language', keywords: ['urgent', 'critical'], points: 2 },
+      { id: 'blocked', keywords: ['blocking', "can't"], points: 1 },
+      { id: 'production_impact', keywords: ['production', 'outage'], points: 2 },
+      { id: 'data_risk', keywords: ['data loss', 'security'], points: 2 }
+    ],
+    tier_points: { Enterprise: 1 }
+  },
+  value: {
+    tier_base: { Enterprise: 9, Pro: 7, Free: 4 },
+    default_base: 5,
+    // Weighted engagement total; the highest threshold passed adds its points
+    engagement_weights: { likes: 1, upvotes: 2, comments: 1 },
+    engagement_thresholds: [
+      { above: 50, points: 2 },
+      { above: 20, points: 1 }
+    ],
+    rules: [
+      { id: 'business_impact', keywords: ['revenue', 'customer'], points: 1 },
+      { id: 'compliance', keywords: ['compliance', 'security'], points: 1 }
+    ]
+  },
+  engagement: {
+    weights: { likes: 1, retweets: 2, upvotes: 2, comments: 3, replies: 3, views: 0.01 }
+  }
+};
+
+/**
+ * Score one item
+ * item: { urgency, text, urgency_text?, customer_tier, engagement? }
+ *   urgency_text: text for the urgency keywords when it differs from text
+ *   (screened feedback - an injected "this is critical" must not add points)
+ * Returns: { urgency_score, value_score, engagement_score, breakdown }
+ *   breakdown: { version, inputs, urgency, value, engagement } - each part is
+ *   { score, raw, rules: [{ rule, points, matched? / count? }] }
+ */
+export function scoreFeedback(scoring, item) {
+  const { version, config } = scoring;
+  const text = (item.text || '').toLowerCase();
+  const urgencyText = item.urgency_text !== undefined ? item.urgency_text.toLowerCase() : text;
+  const engagement = item.engagement || null;
+
+  // Urgency: base label + keyword rules + tier boost
+  const urgencyRules = [baseRule('urgency_base', config.urgency.base, item.urgency, config.urgency.default_base)];
+  urgencyRules.push(...keywordRules(config.urgency.rules, urgencyText));
+  const tierPoints = config.urgency.tier_points[item.customer_tier];
+  if (tierPoints) urgencyRules.push({ rule: 'customer_tier', value: item.customer_tier, points: tierPoints });
+
+  // Value: tier base + engagement threshold + keyword rules
+  const valueRules = [baseRule('tier_base', config.value.tier_base, item.customer_tier, config.value.default_base)];
+  const total = weightedSum(engagement || {}, config.value.engagement_weights);
+  const threshold = config.value.engagement_thresholds.find(entry => total > entry.above);
+  if (threshold) valueRules.push({ rule: 'engagement', value: round(total), above: threshold.above, points: threshold.points });
+  valueRules.push(...keywordRules(config.value.rules, text));
+
+  // Engagement: weighted counts (items without engagement data score 0)
+  const engagementRules = engagement
+    ? Object.entries(config.engagement.weights)
+      .filter(([metric]) => engagement[metric])
+      .map(([metric, weight]) => ({ rule: metric, count: engagement[metric], points: round(engagement[metric] * weight) }))
+    : [];
+
+  const urgency = summarize(urgencyRules, true);
+  const value = summarize(valueRules, true);
+  const engagementPart = summarize(engagementRules, false);
+
+  return {
+    urgency_score: urgency.score,
+    value_score: value.score,
+    engagement_score: engagementPart.score,
+    breakdown: {
+      version,
+      // Kept so the recompute job can re-score without the original upload
+      inputs: { urgency: item.urgency || null, customer_tier: item.customer_tier || null, engagement },
+      urgency,
+      value,
+      engagement: engagementPart
+    }
+  };
+}
+
+/**
+ * Check a config and normalize it (keywords lower-cased, thresholds highest first)
+ * Throws an Error naming the first problem
+ * Returns: normalized config
+ */
+export function validateScoringConfig(config) {
+  if (!isPlainObject(config)) throw new Error('config must be an object');
+  assertKeys(config, ['urgency', 'value', 'engagement'], 'config');
+  for (const section of ['urgency', 'value', 'engagement']) {
+    if (!isPlainObject(config[section])) throw new Error(`config.${section} must be an object`);
+  }
+
+  const { urgency, value, engagement } = config;
+  assertKeys(urgency, ['base', 'default_base', 'rules', 'tier_points'], 'urgency');
+  assertKeys(value, ['tier_base', 'default_base', 'engagement_weights', 'engagement_thresholds', 'rules'], 'value');
+  assertKeys(engagement, ['weights'], 'engagement');
+
+  const thresholds = value.engagement_thresholds;
+  if (!Array.isArray(thresholds) || thresholds.length > MAX_RULES) {
+    throw new Error(`value.engagement_thresholds must be an array of up to ${MAX_RULES} entries`);
+  }
+
+  return {
+    urgency: {
+      base: pointsMap(urgency.base, URGENCY_LEVELS, 'urgency.base'),
+      default_base: points(urgency.default_base, 'urgency.default_base'),
+      rules: ruleList(urgency.rules, 'urgency.rules'),
+      tier_points: pointsMap(urgency.tier_points, CUSTOMER_TIERS, 'urgency.tier_points')
+    },
+    value: {
+      tier_base: pointsMap(value.tier_base, CUSTOMER_TIERS, 'value.tier_base'),
+      default_base: points(value.default_base, 'value.default_base'),
+      engagement_weights: pointsMap(value.engagement_weights, ENGAGEMENT_METRICS, 'value.engagement_weights'),
+      engagement_thresholds: thresholds
+        .map((entry, i) => {
+          const path = `value.engagement_thresholds[${i}]`;
+          if (!isPlainObject(entry)) throw new Error(`${path} must be { above, points }`);
+          assertKeys(entry, ['above', 'points'], path);
+          const above = Number(entry.above);
+          if (!Number.isFinite(above) || above < 0) throw new Error(`${path}.above must be a number >= 0`);
+          return { above, points: points(entry.points, `${path}.points`) };
+        })
+        .sort((a, b) => b.above - a.above),
+      rules: ruleList(value.rules, 'value.rules')
+    },
+    engagement: {
+      weights: pointsMap(engagement.weights, ENGAGEMENT_METRICS, 'engagement.weights')
+    }
+  };
+}
+
+/**
+ * Apply a partial config on top of another: objects merge key by key,
+ * arrays (rules, thresholds) and plain values replace
+ * Returns: the merged (unvalidated) config
+ */
+export function mergeScoringConfig(base, patch) {
+  if (!isPlainObject(base) || !isPlainObject(patch)) return patch;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(patch)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeScoringConfig(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * The config new scores are calculated with: the latest stored version,
+ * or the built-in defaults (version 0) before anything was saved
+ * Returns: { version, config, note, created_by, created_at }
+ */
+export async function getActiveScoringConfig(db) {
+  const row = await db.prepare(`
+    SELECT version, config, note, created_by, created_at
+    FROM scoring_configs
+    ORDER BY version DESC
+    LIMIT 1
+  `).first();
+
+  return row ? formatConfig(row) : builtInConfig();
+}
+
+/**
+ * One stored version (0 = built-in defaults)
+ * Returns: config entry or null
+ */
+export async function getScoringConfig(db, version) {
+  if (version === 0) return builtInConfig();
+
+  const row = await db.prepare(`
+    SELECT version, config, note, created_by, created_at
+    FROM scoring_configs
+    WHERE version = ?
+  `).bind(version).first();
+
+  return row ? formatConfig(row) : null;
+}
+
+/**
+ * Stored versions, newest first (without the config bodies)
+ */
+export async function listScoringConfigs(db, { limit = 50 } = {}) {
+  const result = await db.prepare(`
+    SELECT version, note, created_by, created_at
+    FROM scoring_configs
+    ORDER BY version DESC
+    LIMIT ?
+  `).bind(limit).all();
+
+  return result.results || [];
+}
+
+/**
+ * Store a validated config as the next version - it becomes active right away
+ * Returns: the new config entry
+ */
+export async function saveScoringConfig(db, config, { note = null, createdBy = null } = {}) {
+  const row = await db.prepare(`
+    INSERT INTO scoring_configs (config, note, created_by)
+    VALUES (?, ?, ?)
+    RETURNING version, config, note, created_by, created_at
+  `).bind(JSON.stringify(config), note, createdBy).first();
+
+  return formatConfig(row);
+}
+
+// Rows scored before breakdowns were stored have no recorded inputs; they keep their scores
+// rather than being re-scored from guessed inputs
+const HAS_INPUTS = `json_extract(fm.score_breakdown, '$.inputs') IS NOT NULL`;
+
+/**
+ * Rows scored with another version than the active one (rows without recorded inputs aren't counted)
+ */
+export async function countStaleScores(db, version) {
+  const row = await db.prepare(`
+    SELECT COUNT(*) AS count FROM feedback_master fm
+    WHERE (fm.scoring_version IS NULL OR fm.scoring_version != ?) AND ${HAS_INPUTS}
+  `).bind(version).first();
+
+  return row?.count || 0;
+}
+
+/**
+ * Re-score the next batch of rows whose scoring_version isn't the active version
+ * Runs from the cron trigger and POST /api/scoring/recompute
+ * Re-scoring uses the inputs stored with the breakdown; screening and analyst corrections are
+ * respected as at upload: urgency keywords ignore injected directives, and a corrected value_score is kept
+ * Returns: { version, rescored, changed, remaining }
+ */
+export async function recomputeScores(env, { limit = DEFAULT_RECOMPUTE_LIMIT } = {}) {
+  const db = env.DB;
+  const scoring = await getActiveScoringConfig(db);
+
+  const stale = await db.prepare(`
+    SELECT
+      fm.feedback_id, fm.feedback_text, fm.score_breakdown,
+      fm.urgency_score, fm.value_score, fm.engagement_score,
+      EXISTS (
+        SELECT 1 FROM label_corrections lc
+        WHERE lc.feedback_id = fm.feedback_id AND lc.field = 'value_score'
+      ) AS value_corrected
+    FROM feedback_master fm
+    WHERE (fm.scoring_version IS NULL OR fm.scoring_version != ?) AND ${HAS_INPUTS}
+    ORDER BY fm.feedback_id
+    LIMIT ?
+  `).bind(scoring.version, limit).all();
+
+  const rows = stale.results || [];
+  const statements = [];
+  let changed = 0;
+
+  for (const row of rows) {
+    const screening = detectInjection(row.feedback_text);
+    const scores = scoreFeedback(scoring, {
+      ...JSON.parse(row.score_breakdown).inputs,
+      text: row.feedback_text,
+      urgency_text: screening.suspicious ? screening.remainder : row.feedback_text
+    });
+    const valueScore = row.value_corrected ? row.value_score : scores.value_score;
+
+    if (scores.urgency_score !== row.urgency_score || valueScore !== row.value_score
+      || scores.engagement_score !== row.engagement_score) {
+      changed++;
+    }
+
+    statements.push(db.prepare(`
+      UPDATE feedback_master
+      SET urgency_score = ?, value_score = ?, engagement_score = ?, score_breakdown = ?, scoring_version = ?
+      WHERE feedback_id = ?
+    `).bind(
+      scores.urgency_score,
+      valueScore,
+      scores.engagement_score,
+      JSON.stringify(scores.breakdown),
+      scoring.version,
+      row.feedback_id
+    ));
+
+    // Placeholders mirror the value score until the AI analysis replaces them
+    if (!row.value_corrected) {
+      statements.push(db.prepare(`
+        UPDATE sentiment_analysis SET value_score = ?
+        WHERE feedback_id = ? AND model_used = 'pending' AND corrected_at IS NULL
+      `).bind(valueScore, row.feedback_id));
+    }
+  }
+
+  if (statements.length > 0) await db.batch(statements);
+
+  return {
+    version: scoring.version,
+    rescored: rows.length,
+    changed,
+    remaining: rows.length < limit ? 0 : await countStaleScores(db, scoring.version)
+  };
+}
+
+/**
+ * Helper: Starting points from a lookup (label -> points) with a fallback
+ */
+function baseRule(rule, table, key, fallback) {
+  const known = key !== undefined && key !== null && table[key] !== undefined;
+  return { rule, value: known ? key : null, points: known ? table[key] : fallback };
+}
+
+/**
+ * Helper: Keyword rules that fire on the text, with the keyword that matched
+ */
+function keywordRules(rules, text) {
+  const fired = [];
+  for (const rule of rules) {
+    const matched = rule.keywords.find(keyword => text.includes(keyword));
+    if (matched) fired.push({ rule: rule.id, matched, points: rule.points });
+  }
+  return fired;
+}
+
+/**
+ * Helper: Total of the fired rules; urgency / value are rounded and clamped to 1-10
+ */
+function summarize(rules, clamp) {
+  const raw = round(rules.reduce((sum, rule) => sum + rule.points, 0));
+  const score = clamp ? Math.min(MAX_SCORE, Math.max(MIN_SCORE, Math.round(raw))) : raw;
+  return { score, raw, rules };
+}
+
+function weightedSum(counts, weights) {
+  return Object.entries(weights).reduce((sum, [metric, weight]) => sum + (Number(counts[metric]) || 0) * weight, 0);
+}
+
+function builtInConfig() {
+  return { version: 0, config: DEFAULT_SCORING_CONFIG, note: 'Built-in defaults', created_by: null, created_at: null };
+}
+
+function formatConfig(row) {
+  return {
+    version: row.version,
+    config: parseJSON(row.config, DEFAULT_SCORING_CONFIG),
+    note: row.note,
+    created_by: row.created_by,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Helper: Validation pieces
+ */
+function points(value, path) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || Math.abs(number) > MAX_POINTS) {
+    throw new Error(`${path} must be a number from -${MAX_POINTS} to ${MAX_POINTS}`);
+  }
+  return number;
+}
+
+function pointsMap(map, allowed, path) {
+  if (!isPlainObject(map)) throw new Error(`${path} must be an object`);
+  assertKeys(map, allowed, path);
+  return Object.fromEntries(Object.entries(map).map(([key, value]) => [key, points(value, `${path}.${key}`)]));
+}
+
+function ruleList(rules, path) {
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+    throw new Error(`${path} must be an array of up to ${MAX_RULES} rules`);
+  }
+
+  const ids = new Set();
+  return rules.map((rule, i) => {
+    const rulePath = `${path}[${i}]`;
+    if (!isPlainObject(rule)) throw new Error(`${rulePath} must be { id, keywords, points }`);
+    assertKeys(rule, ['id', 'keywords', 'points'], rulePath);
+    if (typeof rule.id !== 'string' || !/^[a-z0-9_]{1,50}$/.test(rule.id)) {
+      throw new Error(`${rulePath}.id must be 1-50 lower-case letters, digits or underscores`);
+    }
+    if (ids.has(rule.id)) throw new Error(`Duplicate rule id in ${path}: ${rule.id}`);
+    ids.add(rule.id);
+
+    const keywords = Array.isArray(rule.keywords)
+      ? rule.keywords.map(keyword => typeof keyword === 'string' ? keyword.trim().toLowerCase() : '')
+      : [];
+    if (keywords.length === 0 || keywords.length > MAX_KEYWORDS || keywords.some(keyword => !keyword)) {
+      throw new Error(`${rulePath}.keywords must be 1-${MAX_KEYWORDS} non-empty strings`);
+    }
+
+    return { id: rule.id, keywords, points: points(rule.points, `${rulePath}.points`) };
+  });
+}
+
+function assertKeys(object, allowed, path) {
+  const unknown = Object.keys(object).find(key => !allowed.includes(key));
+  if (unknown) throw new Error(`Unknown key in ${path}: ${unknown} (expected ${allowed.join(', ')})`);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseJSON(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
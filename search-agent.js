@@ -3,44 +3,208 @@
 // Natural language query understanding and response generation
 // ============================================
 
+import { embedTexts } from './embeddings.js';
+import { parseDateRange, removeDatePhrases } from './date-ranges.js';
+import {
+  URGENCY_LEVELS, SENTIMENTS, CUSTOMER_TIERS, TRIAGE_STATUSES, OPEN_STATUSES, normalizeStatus,
+  buildFeedbackQuery, buildFilterClause, paginate
+} from './feedback-query.js';
+import { citationMarker, verifyCitations } from './citations.js';
+import { readCompletionStream } from './sse.js';
+import { delimit, UNTRUSTED_TEXT_RULE } from './prompt-safety.js';
+import {
+  AGGREGATE_METRICS, GROUP_DIMENSIONS, buildAggregateSQL, shapeAggregation, describeAggregation, comparePeriods
+} from './aggregations.js';
+
+// Hybrid ranking: how much vector similarity counts vs. urgency
+const SIMILARITY_WEIGHT = 0.75;
+const URGENCY_WEIGHT = 0.25;
+
+// Vector matches pulled per query; weaker matches than MIN_SIMILARITY don't count as related
+const VECTOR_TOP_K = 100;
+const MIN_SIMILARITY = 0.6;
+
+// Result rows the answer is written from (and may cite)
+const CITATION_CONTEXT_SIZE = 15;
+
+const ANSWER_MODEL = '@cf/meta/llama-3-8b-instruct';
+
+// "mentioning timeout", "containing 1101", "with the word quota"
+const TEXT_MATCH_PATTERN = /\b(?:mention(?:s|ing)?|contain(?:s|ing)?|with the words?)\s+([^\s,.?!]+)/gi;
+
+// Intent schema - sort aliases (vocabularies are shared with feedback-query.js)
+const SORT_FIELDS = {
+  urgency_score: 'urgency_score', urgency: 'urgency_score', priority: 'urgency_score',
+  value_score: 'value_score', value: 'value_score',
+  created_date: 'created_date', date: 'created_date', recent: 'created_date', newest: 'created_date'
+};
+
+// Keyword parser vocabulary, most specific phrase first
+const PRODUCT_MENTIONS = [
+  ['Workers AI', /\bworkers[ -]ai\b/],
+  ['KV Storage', /\b(?:workers )?kv\b/],
+  ['D1 Database', /\bd1\b/],
+  ['R2 Storage', /\br2\b/],
+  ['Workflows', /\bworkflows?\b/],
+  ['Workers', /\bworkers?\b/]
+];
+// Words naming a dimension, for "per source", "which product", "split by sentiment"
+const DIMENSION_WORDS = {
+  product: 'products?',
+  source: 'sources?|channels?',
+  tier: 'tiers?|plans?',
+  theme: 'themes?|topics?',
+  sentiment: 'sentiments?',
+  urgency: 'urgency|urgencies|priority|priorities',
+  status: 'status(?:es)?',
+  week: 'weeks?|weekly'
+};
+const SOURCE_MENTIONS = [
+  ['Support', /\bsupport (?:tickets?|cases?|queue)\b|\bfrom support\b/],
+  ['Discord', /\bdiscord\b/],
+  ['GitHub', /\bgithub\b/],
+  ['Email', /\bemails\b|\b(?:from|via|by) email\b/],
+  ['Twitter', /\btwitter\b|\btweets?\b/],
+  ['Forum', /\bforums?\b/]
+];
+// Triage status words -> statuses ("open" is everything not yet closed)
+const STATUS_MENTIONS = [
+  [OPEN_STATUSES, /\b(?:open|unresolved|outstanding)\b/],
+  [['new'], /\buntriaged\b/],
+  [['triaged'], /\btriaged\b/],
+  [['in_progress'], /\bin[ -]progress\b|\bbeing worked on\b/],
+  [['wont_fix'], /\bwon'?t[ -]?fix\b/],
+  [['resolved', 'wont_fix'], /\bclosed\b/],
+  [['resolved'], /\bresolved\b/]
+];
+
+// Negated clauses: "not from enterprise", "excluding Discord and GitHub", "without KV"
+// The clause ends at punctuation or a word that starts another filter (dates, text matches)
+const NEGATION_PATTERN = /\b(?:not|exclud(?:e|ing)|without|except(?:\s+for)?|other than|apart from|besides|minus)\s+((?:(?:from|in|on|by|for|the|any)\s+)*[^,.;!?]+?)(?=\s+(?:but|since|during|in|from|after|before|until|this|last|past|over|mentioning|containing|with|that|which|who)\b|\s*[,.;!?]|$)/g;
+
+// Session follow-ups: "now only enterprise", "what about last month?", "also include Discord"
+const FOLLOW_UP_PATTERN = /^(?:and\s+)?(?:now|only|just|also|but|plus|then|instead|same|what about|how about|exclude|excluding|without|except|not|drop|remove|include|including|narrow|restrict|expand|widen)\b|\b(?:those|these|them|same)\b/;
+const WIDEN_PATTERN = /\b(?:also|too|as well|plus|include|including|along with|add|expand|widen)\b/;
+// "of those", "which of these" - restrict to the previous turn's results
+const SCOPE_PATTERN = /\b(?:of|among|from|in)\s+(?:those|these|them)\b/;
+// Back from an aggregate to the items behind it
+const LIST_PATTERN = /\b(?:show|list|give me|which ones|see them|see those)\b/;
+
+// Follow-up phrases that remove a filter from the previous intent
+const CLEAR_PATTERNS = {
+  customerTier: /\b(?:all|any|every)\s+(?:tiers?|plans?|customers)\b/,
+  product: /\b(?:all|any|every)\s+products?\b/,
+  source: /\b(?:all|any|every)\s+(?:sources?|channels?)\b|\beverywhere\b/,
+  urgency: /\b(?:all|any|every)\s+(?:urgenc(?:y|ies)|priorit(?:y|ies))\b/,
+  sentiment: /\b(?:all|any|every)\s+sentiments?\b/,
+  theme: /\b(?:all|any|every)\s+(?:themes?|topics?)\b/,
+  status: /\b(?:all|any|every)\s+status(?:es)?\b/,
+  date: /\b(?:all time|any time|ever|(?:all|any)\s+dates?)\b/
+};
+// "drop the tier filter", "remove the date filter"
+const CLEAR_FILTER_PATTERN = /\b(?:drop|remove|clear|ignore)\s+(?:the\s+)?(tier|product|source|urgency|sentiment|theme|status|date|text)\s+filter\b/g;
+const CLEAR_FILTER_FIELDS = { tier: 'customerTier', text: 'textQuery' };
+
+// Intent fields a follow-up can refine, widen or clear
+const FILTER_FIELDS = ['urgency', 'sentiment', 'product', 'customerTier', 'source', 'theme', 'status', 'textQuery'];
+
 /**
  * Search Agent - understands user queries and fetches relevant feedback
+ * options.vectorIndex: index from createVectorIndex() - enables semantic search
+ * options.referenceDate: "today" for relative dates (defaults to now)
  */
 export class SearchAgent {
-  constructor(aiBinding, db) {
+  constructor(aiBinding, db, options = {}) {
     this.ai = aiBinding;
     this.db = db;
+    this.vectorIndex = options.vectorIndex || null;
+    this.referenceDate = options.referenceDate ? new Date(options.referenceDate) : null;
   }
 
   /**
    * Main entry point - process natural language query
+   * context.previous: last turn of the search session ({ turn, intent, type, result_ids })
+   * - the query may then refine, widen or negate that turn's intent
+   * context.onEvent(event, data): called as each stage completes - 'intent', 'results' or
+   * 'aggregation', then 'token' for every chunk of the streamed answer
    */
-  async processQuery(userQuery) {
+  async processQuery(userQuery, context = {}) {
+    const emit = context.onEvent || (async () => {});
+    const onToken = context.onEvent ? text => context.onEvent('token', { text }) : null;
+
     try {
       console.log('Processing query:', userQuery);
-      
+
       // Step 1: Understand the query intent
-      const intent = await this.parseQueryIntent(userQuery);
-      console.log('Parsed intent:', JSON.stringify(intent));
-      
-      // Step 2: Generate SQL query based on intent
-      const sqlQuery = this.generateSQL(intent);
+      const parsed = await this.parseQueryIntent(userQuery);
+      const { parser, confidence, corrections } = parsed;
+
+      // Follow-ups in a session build on the previous intent
+      const { intent, followUp, scopeIds } = context.previous
+        ? this.resolveFollowUp(userQuery, parsed.intent, context.previous)
+        : { intent: parsed.intent, followUp: null, scopeIds: null };
+
+      console.log('Parsed intent:', parser, confidence, followUp?.mode || 'new', JSON.stringify(intent));
+      const interpretation = {
+        intent: intent,
+        intent_parser: parser,
+        intent_confidence: confidence,
+        intent_corrections: corrections,
+        follow_up: followUp
+      };
+      await emit('intent', { query: userQuery, ...interpretation });
+
+      // Counting / averaging questions get grouped numbers instead of rows
+      if (intent.aggregate) {
+        const aggregation = await this.runAggregation(intent, { scopeIds });
+        await emit('aggregation', { aggregation, count: aggregation.total });
+        const response = await this.formatAggregateResponse(userQuery, aggregation, onToken);
+        return {
+          success: true,
+          type: 'aggregate',
+          query: userQuery,
+          ...interpretation,
+          aggregation,
+          results: [],
+          response,
+          count: aggregation.total
+        };
+      }
+
+      // Step 2: Vector candidates for the free-text part of the query (if any)
+      const semantic = await this.findSemanticMatches(intent.semanticText);
+
+      // Step 3: Generate SQL query based on intent
+      const sqlQuery = this.generateSQL(intent, { scopeIds });
       console.log('Generated SQL:', sqlQuery.sql);
       console.log('With params:', sqlQuery.params);
       
-      // Step 3: Execute query
-      const results = await this.executeQuery(sqlQuery);
+      // Step 4: Execute query; vector matches that pass the filters are added and ranked first
+      let results = paginate(await this.executeQuery(sqlQuery), sqlQuery).rows;
+      if (semantic) {
+        const matched = this.generateSQL(intent, { feedbackIds: semantic.ids, scopeIds });
+        results = this.rerankResults(
+          this.mergeResults(paginate(await this.executeQuery(matched), matched).rows, results),
+          semantic.scores,
+          intent.limit || 20
+        );
+      }
       console.log('Query returned', results.length, 'results');
+      await emit('results', { retrieval: semantic ? 'hybrid' : 'structured', results, count: results.length });
       
-      // Step 4: Format results with AI
-      const response = await this.formatResponse(userQuery, results, intent);
+      // Step 5: Format results with AI - every claim cites the feedback behind it
+      const { response, citations, citationCheck } = await this.formatResponse(userQuery, results, intent, onToken);
       
       return {
         success: true,
+        type: 'list',
         query: userQuery,
-        intent: intent,
+        ...interpretation,
+        retrieval: semantic ? 'hybrid' : 'structured',
         results: results,
         response: response,
+        citations,
+        citation_check: citationCheck,
         count: results.length
       };
     } catch (error) {
@@ -55,92 +219,665 @@ export class SearchAgent {
 
   /**
    * Parse user query to understand intent
+   * LLM first, validated against the intent schema; keyword matching is the fallback
+   * Returns: { intent, parser: 'ai' | 'keywords', confidence, corrections }
    */
   async parseQueryIntent(userQuery) {
-    // Skip AI parsing - use keyword matching for reliability
-    console.log('Using keyword-based parsing only');
-    return this.parseIntentWithKeywords(userQuery);
+    const vocabulary = await this.loadVocabulary();
+
+    try {
+      const raw = await this.parseIntentWithAI(userQuery, vocabulary);
+      if (raw && Object.keys(raw).length > 0) {
+        const { intent, corrections } = this.validateIntent(raw, vocabulary);
+        // Text and dates are extracted deterministically (the model doesn't know today's date)
+        intent.textQuery = this.extractTextQuery(userQuery);
+        Object.assign(intent, this.extractDateRange(userQuery));
+        // A model aggregate goes through applyAggregate too, so a compared value isn't also a filter
+        this.applyAggregate(intent, intent.aggregate || this.detectAggregate(userQuery.toLowerCase(), intent.periods));
+        this.applyExclusions(intent, this.extractExclusions(userQuery));
+        intent.semanticText = intent.aggregate ? null : this.extractSemanticText(userQuery) || null;
+
+        const repaired = corrections.filter(c => c.action === 'repaired').length;
+        const dropped = corrections.filter(c => c.action === 'dropped').length;
+        const reported = Number(raw.confidence);
+        const base = Number.isFinite(reported) ? Math.min(1, Math.max(0, reported)) : 0.7;
+        const confidence = Math.max(0.1, base - 0.1 * repaired - 0.2 * dropped);
+
+        return { intent, parser: 'ai', confidence: Math.round(confidence * 100) / 100, corrections };
+      }
+    } catch (error) {
+      console.error('AI intent parsing error:', error);
+    }
+
+    console.log('Falling back to keyword-based parsing');
+    // Negated clauses are parsed separately so "not enterprise" doesn't become tier = Enterprise
+    const intent = this.parseIntentWithKeywords(userQuery.replace(NEGATION_PATTERN, ' '));
+    this.applyExclusions(intent, this.extractExclusions(userQuery));
+    intent.semanticText = intent.aggregate ? null : this.extractSemanticText(userQuery) || null;
+    const recognized = ['urgency', 'sentiment', 'product', 'customerTier', 'source', 'status', 'textQuery', 'dateFrom', 'dateTo', 'periods']
+      .filter(field => intent[field]).length;
+
+    return { intent, parser: 'keywords', confidence: recognized > 0 ? 0.5 : 0.3, corrections: [] };
+  }
+
+  /**
+   * Ask the LLM for a structured intent
+   * Returns: raw parsed JSON (unvalidated), {} when unparseable
+   */
+  async parseIntentWithAI(userQuery, vocabulary) {
+    const prompt = `Convert the question about customer feedback in the <question> tags into search filters.
+
+${delimit(userQuery, 'question')}
+
+Allowed values (use null for anything the question doesn't ask for):
+- urgency: list from ${URGENCY_LEVELS.join(', ')}
+- sentiment: list from ${SENTIMENTS.join(', ')}
+- product: one of ${vocabulary.products.join(', ')}
+- customerTier: one of ${CUSTOMER_TIERS.join(', ')}
+- source: one of ${vocabulary.sources.join(', ')}
+- theme: one of ${vocabulary.themes.join(', ')}
+- status: triage status list from ${TRIAGE_STATUSES.join(', ')}, only when the question asks about it
+  ("open" / "unresolved" = ${OPEN_STATUSES.join(', ')})
+- sortBy: urgency_score, value_score or created_date
+- limit: number of items asked for (1-100), otherwise 20
+- aggregate: null when the question asks for feedback items. For counting, averaging or
+  comparing questions ("how many", "which product has the most", "compare X and Y"):
+  { "metric": "count|avg_urgency|avg_value",
+    "groupBy": "${Object.keys(GROUP_DIMENSIONS).join('|')}" or null,
+    "splitBy": same choices or null (second dimension, e.g. sentiment when comparing tiers),
+    "values": the groups being compared, e.g. ["Pro", "Enterprise"], or null }
+
+Respond ONLY with a JSON object in this format:
+{
+  "urgency": ["Critical", "High"],
+  "sentiment": null,
+  "product": "Workers",
+  "customerTier": "Enterprise",
+  "source": null,
+  "theme": null,
+  "status": null,
+  "sortBy": "urgency_score",
+  "limit": 20,
+  "aggregate": null,
+  "confidence": 0.85
+}`;
+
+    const response = await this.ai.run('@cf/meta/llama-3-8b-instruct', {
+      messages: [
+        { role: 'system', content: `You translate product managers' questions into JSON search filters. ${UNTRUSTED_TEXT_RULE}` },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0.1,
+      max_tokens: 250
+    });
+
+    return this.parseAIResponse(response);
+  }
+
+  /**
+   * Validate an LLM intent against the schema - fields are repaired
+   * (case, partial names, out-of-range limits) or dropped, never passed through
+   * Returns: { intent, corrections: [{ field, value, action, to? }] }
+   */
+  validateIntent(raw, vocabulary) {
+    const corrections = [];
+    const intent = {
+      urgency: null,
+      sentiment: null,
+      product: null,
+      theme: null,
+      customerTier: null,
+      source: null,
+      status: null,
+      textQuery: null,
+      dateFrom: null,
+      dateTo: null,
+      periods: null,
+      aggregate: null,
+      sortBy: 'urgency_score',
+      limit: 20
+    };
+
+    const single = (field, allowed) => {
+      const result = matchVocabulary(raw[field], allowed);
+      if (result.dropped) corrections.push({ field, value: raw[field], action: 'dropped' });
+      else if (result.repaired) corrections.push({ field, value: raw[field], action: 'repaired', to: result.value });
+      return result.value;
+    };
+
+    const list = (field, allowed, normalize = value => value) => {
+      if (raw[field] === null || raw[field] === undefined) return null;
+      const values = (Array.isArray(raw[field]) ? raw[field] : [raw[field]])
+        .map(value => {
+          const result = matchVocabulary(normalize(value), allowed);
+          if (result.dropped) corrections.push({ field, value, action: 'dropped' });
+          else if (result.repaired) corrections.push({ field, value, action: 'repaired', to: result.value });
+          return result.value;
+        })
+        .filter(Boolean);
+      return values.length > 0 ? [...new Set(values)] : null;
+    };
+
+    intent.urgency = list('urgency', URGENCY_LEVELS);
+    intent.sentiment = list('sentiment', SENTIMENTS);
+    intent.product = single('product', vocabulary.products);
+    intent.customerTier = single('customerTier', CUSTOMER_TIERS);
+    intent.source = single('source', vocabulary.sources);
+    intent.theme = single('theme', vocabulary.themes);
+    intent.status = list('status', TRIAGE_STATUSES, value => normalizeStatus(value) || value);
+
+    if (raw.sortBy !== null && raw.sortBy !== undefined) {
+      const sortBy = SORT_FIELDS[String(raw.sortBy).trim().toLowerCase()];
+      if (!sortBy) {
+        corrections.push({ field: 'sortBy', value: raw.sortBy, action: 'dropped' });
+      } else {
+        if (sortBy !== raw.sortBy) corrections.push({ field: 'sortBy', value: raw.sortBy, action: 'repaired', to: sortBy });
+        intent.sortBy = sortBy;
+      }
+    }
+
+    intent.aggregate = this.validateAggregate(raw.aggregate, vocabulary, corrections);
+
+    if (raw.limit !== null && raw.limit !== undefined) {
+      const limit = parseInt(raw.limit);
+      if (!Number.isFinite(limit)) {
+        corrections.push({ field: 'limit', value: raw.limit, action: 'dropped' });
+      } else {
+        intent.limit = Math.min(100, Math.max(1, limit));
+        if (intent.limit !== raw.limit) corrections.push({ field: 'limit', value: raw.limit, action: 'repaired', to: intent.limit });
+      }
+    }
+
+    return { intent, corrections };
+  }
+
+  /**
+   * Validate the LLM's aggregate block
+   * Returns: { metric, groupBy, splitBy, values } or null for a list question
+   */
+  validateAggregate(raw, vocabulary, corrections) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    let metric = String(raw.metric || 'count').trim().toLowerCase();
+    if (!AGGREGATE_METRICS[metric]) {
+      corrections.push({ field: 'aggregate.metric', value: raw.metric, action: 'repaired', to: 'count' });
+      metric = 'count';
+    }
+
+    const dimension = (field) => {
+      const value = raw[field];
+      if (value === null || value === undefined || value === '') return null;
+      const key = String(value).trim().toLowerCase();
+      if (GROUP_DIMENSIONS[key]) return key;
+      corrections.push({ field: `aggregate.${field}`, value, action: 'dropped' });
+      return null;
+    };
+
+    const groupBy = dimension('groupBy') || 'all';
+    let splitBy = dimension('splitBy');
+    if (splitBy === groupBy) splitBy = null;
+
+    // Compared values must exist in the grouped dimension
+    const allowed = this.dimensionValues(groupBy, vocabulary);
+    let values = null;
+    if (Array.isArray(raw.values) && raw.values.length > 0 && allowed) {
+      values = raw.values
+        .map(value => {
+          const result = matchVocabulary(value, allowed);
+          if (result.dropped) corrections.push({ field: 'aggregate.values', value, action: 'dropped' });
+          return result.value;
+        })
+        .filter(Boolean);
+      if (values.length === 0) values = null;
+    }
+
+    return { metric, groupBy, splitBy, values };
+  }
+
+  /**
+   * Keyword detection of counting / averaging / comparing questions
+   * periods: compared date periods of the query (see extractDateRange) - always an aggregate
+   * Returns: aggregate or null
+   */
+  detectAggregate(lowerQuery, periods = null) {
+    const mentions = pattern => new RegExp(`\\b(?:${pattern})\\b`).test(lowerQuery);
+
+    let metric = null;
+    if (mentions('average|avg|mean')) {
+      metric = mentions('value') ? 'avg_value' : 'avg_urgency';
+    } else if (/\b(?:how many|count|number of|breakdown|distribution|fewest|least)\b|\bmost\b(?!\s+recent)/.test(lowerQuery)) {
+      metric = 'count';
+    }
+
+    // "compare Pro and Enterprise", "Discord vs GitHub"
+    if (mentions('compare|comparing|comparison|vs|versus')) {
+      const compared = [
+        ['tier', CUSTOMER_TIERS.filter(tier => mentions(tier.toLowerCase()))],
+        ['product', findAllMentioned(lowerQuery, PRODUCT_MENTIONS)],
+        ['source', findAllMentioned(lowerQuery, SOURCE_MENTIONS)]
+      ].find(([, values]) => values.length >= 2);
+
+      if (compared) {
+        const [groupBy, values] = compared;
+        let splitBy = null;
+        if (mentions(DIMENSION_WORDS.sentiment)) splitBy = 'sentiment';
+        else if (mentions(DIMENSION_WORDS.theme)) splitBy = 'theme';
+        else if (!metric && mentions('urgency|priority')) metric = 'avg_urgency';
+        return { metric: metric || 'count', groupBy, splitBy, values };
+      }
+    }
+
+    // "per source", "by product", "which tier", "weekly"
+    let groupBy = null;
+    for (const [dimension, words] of Object.entries(DIMENSION_WORDS)) {
+      if (new RegExp(`\\b(?:per|by|each|every|across|which|what|over)\\s+(?:the\\s+)?(?:${words})\\b`).test(lowerQuery) ||
+          (dimension === 'week' && mentions('weekly'))) {
+        groupBy = dimension;
+        break;
+      }
+    }
+
+    // "compare last month to this month" - one aggregate per period (see comparePeriods)
+    if (periods) {
+      let splitBy = null;
+      if (!groupBy && mentions(DIMENSION_WORDS.sentiment)) splitBy = 'sentiment';
+      else if (!groupBy && mentions(DIMENSION_WORDS.theme)) splitBy = 'theme';
+      else if (!metric && mentions('urgency|priority')) metric = 'avg_urgency';
+      return { metric: metric || 'count', groupBy: groupBy || 'all', splitBy, values: null };
+    }
+
+    if (!metric && !groupBy) return null;
+    if (!metric && !/\b(?:per|by|across)\b/.test(lowerQuery)) return null;
+
+    return { metric: metric || 'count', groupBy: groupBy || 'all', splitBy: null, values: null };
+  }
+
+  /**
+   * Attach an aggregate to the intent; comparing named groups replaces the single-value filter
+   * ("compare Pro and Enterprise" must not also filter on tier = Enterprise)
+   */
+  applyAggregate(intent, aggregate) {
+    if (!aggregate) return;
+    intent.aggregate = aggregate;
+
+    const filterField = { tier: 'customerTier', product: 'product', source: 'source' }[aggregate.groupBy];
+    if (filterField && aggregate.values?.length) intent[filterField] = null;
   }
 
   /**
-   * Generate SQL query from intent
+   * Values named in negated clauses ("not from enterprise", "excluding Discord")
+   * Returns: { field: [values] } or null
    */
-  generateSQL(intent) {
-    let sql = `
-      SELECT 
-        fm.feedback_id,
-        fm.original_id,
-        fm.feedback_text,
-        fm.created_date,
-        fm.urgency_score,
-        fm.value_score,
-        u.email,
-        u.username,
-        u.customer_tier,
-        pa.product_name,
-        s.source_name,
-        sa.sentiment,
-        sa.urgency,
-        sa.ai_summary,
-        GROUP_CONCAT(t.theme_name) as themes
-      FROM feedback_master fm
-      LEFT JOIN users u ON fm.user_id = u.user_id
-      LEFT JOIN product_areas pa ON fm.product_area_id = pa.product_area_id
-      LEFT JOIN sources s ON fm.source_id = s.source_id
-      LEFT JOIN sentiment_analysis sa ON fm.feedback_id = sa.feedback_id
-      LEFT JOIN feedback_themes ft ON fm.feedback_id = ft.feedback_id
-      LEFT JOIN themes t ON ft.theme_id = t.theme_id
-      WHERE 1=1
-    `;
+  extractExclusions(userQuery) {
+    const exclude = {};
+    const add = (field, values) => {
+      if (values.length > 0) exclude[field] = [...new Set([...(exclude[field] || []), ...values])];
+    };
 
-    const conditions = [];
-    const params = [];
+    for (const match of userQuery.toLowerCase().matchAll(NEGATION_PATTERN)) {
+      const clause = match[1];
+      const named = values => values.filter(value => new RegExp(`\\b${value.toLowerCase()}\\b`).test(clause));
+      add('urgency', named(URGENCY_LEVELS));
+      add('sentiment', named(SENTIMENTS));
+      add('product', findAllMentioned(clause, PRODUCT_MENTIONS));
+      add('customerTier', named(CUSTOMER_TIERS));
+      add('source', findAllMentioned(clause, SOURCE_MENTIONS));
+      add('status', findStatuses(clause) || []);
+    }
+
+    return Object.keys(exclude).length > 0 ? exclude : null;
+  }
+
+  /**
+   * Attach exclusions to the intent; an excluded value can't also be a positive filter
+   */
+  applyExclusions(intent, exclude) {
+    intent.exclude = exclude || null;
+    if (!exclude) return;
 
-    // Add filters based on intent
-    if (intent.urgency && intent.urgency.length > 0) {
-      const placeholders = intent.urgency.map(() => '?').join(',');
-      conditions.push(`sa.urgency IN (${placeholders})`);
-      params.push(...intent.urgency);
+    for (const [field, values] of Object.entries(exclude)) {
+      intent[field] = withoutValues(intent[field], values);
     }
+  }
 
-    if (intent.sentiment && intent.sentiment.length > 0) {
-      const placeholders = intent.sentiment.map(() => '?').join(',');
-      conditions.push(`sa.sentiment IN (${placeholders})`);
-      params.push(...intent.sentiment);
+  /**
+   * Combine a follow-up with the previous turn of the session
+   * - refine: values named now replace the previous ones ("now only enterprise", "what about last month?")
+   * - widen: values are added ("also include Discord") or filters cleared ("any tier", "all time");
+   *   a field the previous turn didn't filter already includes every value, so it stays unfiltered
+   * - negate: named values are excluded ("without KV", "excluding free")
+   * Queries without a follow-up cue start a new question
+   * Returns: { intent, followUp: { mode, base_turn, scoped, already_included: [field] } | null, scopeIds }
+   */
+  resolveFollowUp(userQuery, current, previous) {
+    const lowerQuery = userQuery.toLowerCase().trim();
+    const isFollowUp = FOLLOW_UP_PATTERN.test(lowerQuery) ||
+      Object.values(CLEAR_PATTERNS).some(pattern => pattern.test(lowerQuery));
+    if (!isFollowUp || !previous.intent) {
+      return { intent: current, followUp: null, scopeIds: null };
     }
 
-    if (intent.product) {
-      conditions.push(`pa.product_name = ?`);
-      params.push(intent.product);
+    const base = previous.intent;
+    const merged = { ...base, exclude: base.exclude ? { ...base.exclude } : null };
+    const widening = WIDEN_PATTERN.test(lowerQuery);
+    let widened = false;
+    const alreadyIncluded = [];
+
+    // Comparing named groups: new values join the comparison instead of filtering
+    const comparedField = merged.aggregate?.values?.length
+      ? { tier: 'customerTier', product: 'product', source: 'source' }[merged.aggregate.groupBy]
+      : null;
+
+    for (const field of FILTER_FIELDS) {
+      const value = current[field];
+      if (!value || (Array.isArray(value) && value.length === 0)) continue;
+
+      if (field === comparedField) {
+        merged.aggregate = { ...merged.aggregate, values: unionValues(merged.aggregate.values, value) };
+        widened = true;
+      } else if (widening && field !== 'textQuery') {
+        if (merged[field]) merged[field] = unionValues(merged[field], value);
+        else alreadyIncluded.push(field);
+        widened = true;
+      } else {
+        merged[field] = value;
+      }
+
+      // Asking for a value again lifts an earlier exclusion
+      if (merged.exclude?.[field]) {
+        merged.exclude[field] = withoutValues(merged.exclude[field], [].concat(value));
+      }
     }
 
-    if (intent.customerTier) {
-      conditions.push(`u.customer_tier = ?`);
-      params.push(intent.customerTier);
+    // A new date range (or set of compared periods) replaces the old one
+    if (current.dateFrom || current.dateTo || current.periods) {
+      merged.dateFrom = current.dateFrom;
+      merged.dateTo = current.dateTo;
+      merged.periods = current.periods;
     }
 
-    if (intent.theme) {
-      conditions.push(`t.theme_name LIKE ?`);
-      params.push(`%${intent.theme}%`);
+    // "any tier", "all time", "drop the source filter"
+    const cleared = Object.keys(CLEAR_PATTERNS).filter(field => CLEAR_PATTERNS[field].test(lowerQuery));
+    for (const match of lowerQuery.matchAll(CLEAR_FILTER_PATTERN)) {
+      cleared.push(CLEAR_FILTER_FIELDS[match[1]] || match[1]);
+    }
+    for (const field of cleared) {
+      if (field === 'date') {
+        merged.dateFrom = null;
+        merged.dateTo = null;
+        merged.periods = null;
+      } else {
+        merged[field] = null;
+        if (merged.exclude) delete merged.exclude[field];
+      }
+      widened = true;
     }
 
-    // Add conditions to query
-    if (conditions.length > 0) {
-      sql += ' AND ' + conditions.join(' AND ');
+    // Exclusions accumulate across turns
+    if (current.exclude) {
+      const exclude = merged.exclude || {};
+      for (const [field, values] of Object.entries(current.exclude)) {
+        exclude[field] = unionValues(exclude[field], values);
+        merged[field] = withoutValues(merged[field], values);
+      }
+      merged.exclude = exclude;
+    }
+    if (merged.exclude) {
+      for (const field of Object.keys(merged.exclude)) {
+        if (!merged.exclude[field]?.length) delete merged.exclude[field];
+      }
+      if (Object.keys(merged.exclude).length === 0) merged.exclude = null;
+    }
+
+    // New aggregate replaces the old one; "show me those" goes back to a list
+    if (current.aggregate) {
+      merged.aggregate = current.aggregate;
+    } else if (merged.aggregate && LIST_PATTERN.test(lowerQuery)) {
+      merged.aggregate = null;
     }
 
-    // Group by
-    sql += ` GROUP BY fm.feedback_id`;
+    // Sort and limit carry over unless asked for explicitly
+    if (current.sortBy && current.sortBy !== 'urgency_score') merged.sortBy = current.sortBy;
+    if (current.limit && current.limit !== 20) merged.limit = current.limit;
 
-    // Sort
-    const sortBy = intent.sortBy || 'urgency_score';
-    sql += ` ORDER BY ${sortBy} DESC, fm.created_date DESC`;
+    // Descriptive words: new ones replace the old topic ("what about timeouts?")
+    if (current.semanticText) merged.semanticText = current.semanticText;
 
-    // Limit
-    const limit = intent.limit || 20;
-    sql += ` LIMIT ${limit}`;
+    // "which of those ..." - only the previous turn's results
+    const previousIds = previous.type === 'list' ? previous.result_ids || [] : [];
+    const scopeIds = SCOPE_PATTERN.test(lowerQuery) && previousIds.length > 0 ? previousIds : null;
 
-    return { sql, params };
+    const mode = current.exclude ? 'negate' : (widened ? 'widen' : 'refine');
+    return {
+      intent: merged,
+      followUp: { mode, base_turn: previous.turn ?? null, scoped: Boolean(scopeIds), already_included: alreadyIncluded },
+      scopeIds
+    };
+  }
+
+  /**
+   * Known values of a dimension (null when free-form, e.g. week)
+   */
+  dimensionValues(dimension, vocabulary) {
+    switch (dimension) {
+      case 'product': return vocabulary.products;
+      case 'source': return vocabulary.sources;
+      case 'tier': return CUSTOMER_TIERS;
+      case 'theme': return vocabulary.themes;
+      case 'sentiment': return SENTIMENTS;
+      case 'urgency': return URGENCY_LEVELS;
+      case 'status': return TRIAGE_STATUSES;
+      default: return null;
+    }
+  }
+
+  /**
+   * Run an aggregate intent
+   * Returns: chart-ready aggregation (see aggregations.js)
+   */
+  async runAggregation(intent, options = {}) {
+    const query = this.generateAggregateSQL(intent, options);
+    console.log('Generated aggregate SQL:', query.sql);
+    const rows = await this.executeQuery(query);
+    return shapeAggregation(rows, comparePeriods(intent.aggregate, intent.periods));
+  }
+
+  /**
+   * Answer an aggregate question from the computed numbers only
+   * onToken: streams the answer as it is generated (optional)
+   */
+  async formatAggregateResponse(userQuery, aggregation, onToken = null) {
+    const table = describeAggregation(aggregation);
+    if (aggregation.labels.length === 0) return table;
+
+    const prompt = `The user asked the question in the <question> tags:
+
+${delimit(userQuery, 'question')}
+
+These are the exact numbers from the feedback database:
+
+${table}
+
+Answer the question in under 100 words using ONLY these numbers. Do not estimate or invent
+any other figures. Name the top group and mention notable differences.`;
+
+    try {
+      const text = (await this.generateAnswer([
+        { role: 'system', content: `You are a precise product analytics assistant. ${UNTRUSTED_TEXT_RULE}` },
+        { role: 'user', content: prompt }
+      ], { temperature: 0.2, max_tokens: 200 }, onToken)).trim();
+      return text || table;
+    } catch (error) {
+      console.error('Aggregate response error:', error);
+      return table;
+    }
+  }
+
+  /**
+   * Products, sources and active themes the intent may refer to (cached per agent)
+   */
+  async loadVocabulary() {
+    if (!this.vocabulary) {
+      const [products, sources, themes] = await Promise.all([
+        this.db.prepare(`SELECT product_name FROM product_areas ORDER BY product_name`).all(),
+        this.db.prepare(`SELECT source_name FROM sources ORDER BY source_name`).all(),
+        this.db.prepare(`SELECT theme_name FROM themes WHERE status = 'active' ORDER BY theme_name`).all()
+      ]);
+
+      this.vocabulary = {
+        products: (products.results || []).map(r => r.product_name),
+        sources: (sources.results || []).map(r => r.source_name),
+        themes: (themes.results || []).map(r => r.theme_name)
+      };
+    }
+    return this.vocabulary;
+  }
+
+  /**
+   * Vector similarity on feedback_text for the descriptive part of the query
+   * semanticText: from extractSemanticText() (intent.semanticText)
+   * Returns: { ids, scores: Map(id -> similarity) } or null when not applicable or nothing is similar enough
+   */
+  async findSemanticMatches(semanticText) {
+    if (!this.vectorIndex || !semanticText) return null;
+
+    try {
+      const [vector] = await embedTexts(this.ai, [semanticText]);
+      const matches = (await this.vectorIndex.query(vector, VECTOR_TOP_K))
+        .filter(match => match.score >= MIN_SIMILARITY);
+      if (matches.length === 0) return null;
+
+      return {
+        ids: matches.map(match => match.id),
+        scores: new Map(matches.map(match => [match.id, match.score]))
+      };
+    } catch (error) {
+      console.error('Vector search error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Strip filter vocabulary and filler so only descriptive words remain
+   * "critical enterprise issues" -> '' (pure filters)
+   * "people complaining their deploys hang forever" -> "deploys hang forever"
+   * Exact-text parts (quoted phrases, "mentioning x") are left to the FTS match
+   */
+  extractSemanticText(userQuery) {
+    const fillerWords = new Set([
+      'show', 'me', 'find', 'list', 'get', 'give', 'what', 'which', 'who', 'are', 'is', 'the', 'a', 'an',
+      'about', 'all', 'any', 'of', 'from', 'for', 'in', 'on', 'with', 'and', 'or', 'to', 'by', 'their',
+      'my', 'our', 'people', 'users', 'customers', 'customer', 'feedback', 'issues', 'issue', 'items',
+      'complaining', 'complaints', 'complaint', 'saying', 'say', 'talking', 'mention', 'mentions',
+      'mentioning', 'contain', 'contains', 'containing', 'word', 'words',
+      'top', 'recent', 'latest', 'review', 'high', 'priority', 'critical', 'urgent', 'important',
+      'negative', 'positive', 'happy', 'enterprise', 'pro', 'free', 'tier', 'workers', 'ai', 'd1',
+      'r2', 'kv', 'workflow', 'workflows', 'database', 'storage', 'that', 'there', 'have', 'has',
+      'do', 'does', 'i', 'we', 'they', 'it', 'be', 'been', 'some', 'github', 'discord', 'twitter',
+      'tweets', 'forum', 'tickets', 'emails', 'compare', 'vs', 'versus',
+      // Follow-up phrasing ("now only enterprise", "what about those")
+      'now', 'only', 'just', 'also', 'too', 'plus', 'how', 'those', 'these', 'them', 'same', 'instead',
+      'include', 'including', 'exclude', 'excluding', 'without', 'except', 'not', 'but', 'then', 'ones',
+      // Triage status words
+      'open', 'unresolved', 'outstanding', 'untriaged', 'triaged', 'progress', 'resolved', 'closed', 'status'
+    ]);
+
+    const descriptive = removeDatePhrases(userQuery, this.referenceDate || new Date())
+      .replace(/"[^"]*"/g, ' ')
+      .replace(TEXT_MATCH_PATTERN, ' ');
+
+    const words = (descriptive.toLowerCase().match(/[a-z0-9']+/g) || [])
+      .filter(word => !fillerWords.has(word) && !/^\d+$/.test(word));
+
+    return words.join(' ');
+  }
+
+  /**
+   * Vector-matched rows plus the structured results that aren't among them
+   */
+  mergeResults(matched, results) {
+    const seen = new Set(matched.map(row => row.feedback_id));
+    return [...matched, ...results.filter(row => !seen.has(row.feedback_id))];
+  }
+
+  /**
+   * Order SQL results by a blend of vector similarity and urgency
+   * Rows without a vector match count as similarity 0, so they follow the matches
+   */
+  rerankResults(results, scores, limit) {
+    return results
+      .map(row => {
+        const similarity = scores.get(row.feedback_id) ?? 0;
+        const relevance = SIMILARITY_WEIGHT * similarity + URGENCY_WEIGHT * ((row.urgency_score || 0) / 10);
+        return {
+          ...row,
+          similarity: Math.round(similarity * 1000) / 1000,
+          relevance: Math.round(relevance * 1000) / 1000
+        };
+      })
+      .sort((a, b) => b.relevance - a.relevance)
+      .slice(0, limit);
+  }
+
+  /**
+   * Generate SQL query from intent (via the shared feedback query builder)
+   * options.feedbackIds restricts results to vector-search matches
+   * options.scopeIds restricts results to a previous turn's results ("which of those ...")
+   * Returns: query from buildFeedbackQuery() - run it, then paginate() the rows
+   */
+  generateSQL(intent, options = {}) {
+    // Vector matches are all fetched, then reranked and trimmed
+    const limit = options.feedbackIds?.length ? options.feedbackIds.length : (intent.limit || 20);
+
+    // Best text matches first when searching text
+    return buildFeedbackQuery(this.intentFilters(intent, options), {
+      sort: intent.textQuery ? null : intent.sortBy,
+      limit
+    });
+  }
+
+  /**
+   * Generate grouped SQL for an aggregate intent (same filters as generateSQL)
+   */
+  generateAggregateSQL(intent, options = {}) {
+    return buildAggregateSQL(this.buildFilters(intent, options), comparePeriods(intent.aggregate, intent.periods));
+  }
+
+  /**
+   * FROM clause and WHERE conditions for the intent's filters
+   * Returns: { fromClause, conditions, params, matchQuery }
+   */
+  buildFilters(intent, options = {}) {
+    return buildFilterClause(this.intentFilters(intent, options));
+  }
+
+  /**
+   * Intent -> feedback query filters (see feedback-query.js)
+   */
+  intentFilters(intent, options = {}) {
+    const exclude = intent.exclude || {};
+    return {
+      urgency: intent.urgency,
+      sentiment: intent.sentiment,
+      product: intent.product,
+      tier: intent.customerTier,
+      source: intent.source,
+      theme: intent.theme,
+      status: intent.status,
+      exclude: {
+        urgency: exclude.urgency,
+        sentiment: exclude.sentiment,
+        product: exclude.product,
+        tier: exclude.customerTier,
+        source: exclude.source,
+        status: exclude.status
+      },
+      text: intent.textQuery,
+      dateFrom: intent.dateFrom,
+      dateTo: intent.dateTo,
+      periods: intent.periods,
+      feedbackIds: [options.feedbackIds, options.scopeIds]
+    };
   }
 
   /**
@@ -170,87 +907,141 @@ export class SearchAgent {
   }
 
   /**
-   * Format results into natural language response
+   * Format results into a natural language answer that cites its sources
+   * Citations are checked against the rows the answer was written from; an answer
+   * without a single valid citation is replaced by the (cited) fallback summary
+   * onToken: streams the answer as it is generated (optional) - the returned,
+   * checked response is what should be kept
+   * Returns: { response, citations: [cited item], citationCheck }
    */
-  async formatResponse(userQuery, results, intent) {
+  async formatResponse(userQuery, results, intent, onToken = null) {
     if (results.length === 0) {
-      return 'No feedback items match your query. Try broadening your search criteria.';
+      return {
+        response: 'No feedback items match your query. Try broadening your search criteria.',
+        citations: [],
+        citationCheck: null
+      };
     }
 
-    // Create a summary of results
-    const summary = this.createResultsSummary(results);
+    // Summary of the rows the model may cite
+    const context = results.slice(0, CITATION_CONTEXT_SIZE);
+    const summary = this.createResultsSummary(context);
 
-    const prompt = `The user asked: "${userQuery}"
+    const prompt = `The user asked the question in the <question> tags:
 
-We found ${results.length} matching feedback items:
+${delimit(userQuery, 'question')}
 
-${summary}
+We found ${results.length} matching feedback items. The top ${context.length} are in the <feedback_items> tags, each led by its citation id:
 
-Create a concise, helpful response that:
+${delimit(summary, 'feedback_items', Infinity)}
+
+Write a concise, helpful answer that:
 1. Directly answers their question
-2. Highlights key findings (top themes, urgency levels)
-3. Mentions any critical issues
-4. Suggests next actions if appropriate
+2. Highlights key findings (top themes, urgency levels) and any critical issues
+3. Cites the feedback behind EVERY statement with its id in square brackets, e.g. [#12] or [#12][#40]
+4. Only uses the items listed above - never invent ids, numbers or quotes
 
+If you suggest a next action, put it in one final sentence starting with "Next step:" (no citation needed).
 Keep it under 150 words.`;
 
+    let answer = null;
     try {
-      const response = await this.ai.run('@cf/meta/llama-3-8b-instruct', {
-        messages: [
-          { role: 'system', content: 'You are a helpful product management assistant.' },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.5,
-        max_tokens: 300
-      });
-
-      return this.extractTextFromResponse(response);
+      answer = await this.generateAnswer([
+        { role: 'system', content: `You are a helpful product management assistant. You cite the feedback behind every claim. ${UNTRUSTED_TEXT_RULE}` },
+        { role: 'user', content: prompt }
+      ], { temperature: 0.3, max_tokens: 350 }, onToken);
     } catch (error) {
       console.error('Response formatting error:', error);
-      return this.createFallbackResponse(results, userQuery);
     }
+
+    let verified = answer ? verifyCitations(answer, context) : null;
+    if (!verified || verified.check.status === 'ungrounded') {
+      if (verified) console.log('Answer cites no result - using fallback summary');
+      const fallback = verifyCitations(this.createFallbackResponse(results, userQuery), results);
+      fallback.check.replaced_answer = Boolean(answer);
+      verified = fallback;
+    }
+
+    return {
+      response: verified.text,
+      citations: verified.cited.map(row => this.citedItem(row)),
+      citationCheck: verified.check
+    };
+  }
+
+  /**
+   * Run the answer model - streamed token by token when onToken is given
+   * Returns: the full answer text
+   */
+  async generateAnswer(messages, options, onToken = null) {
+    if (!onToken) {
+      const response = await this.ai.run(ANSWER_MODEL, { messages, ...options });
+      return this.extractTextFromResponse(response);
+    }
+
+    const stream = await this.ai.run(ANSWER_MODEL, { messages, ...options, stream: true });
+    return readCompletionStream(stream, onToken);
   }
 
   /**
-   * Create summary of results for AI
+   * Create summary of results for AI - one line per row, led by its citation id
    */
   createResultsSummary(results) {
-    const top10 = results.slice(0, 10);
-    return top10.map((r, i) => 
-      `${i+1}. [${r.urgency}] ${r.product_name}: ${r.ai_summary || r.feedback_text.slice(0, 80)} (${r.customer_tier})`
-    ).join('\n');
+    return results.map(r => {
+      const original = r.original_id ? ` (${r.original_id})` : '';
+      const text = r.ai_summary || r.feedback_text.slice(0, 120);
+      return `${citationMarker(r.feedback_id)}${original} ${r.urgency} · ${r.product_name} · ${r.customer_tier} · ${r.source_name}: ${text}`;
+    }).join('\n');
   }
 
   /**
-   * Create fallback response without AI
+   * Reference shown with an answer for each cited row
+   */
+  citedItem(row) {
+    return {
+      feedback_id: row.feedback_id,
+      original_id: row.original_id,
+      source_name: row.source_name,
+      product_name: row.product_name,
+      customer_tier: row.customer_tier,
+      urgency: row.urgency,
+      created_date: row.created_date,
+      excerpt: row.ai_summary || row.feedback_text.slice(0, 160)
+    };
+  }
+
+  /**
+   * Create fallback response without AI (cites the items it counts)
    */
   createFallbackResponse(results, userQuery) {
-    const criticalCount = results.filter(r => r.urgency === 'Critical').length;
-    const highCount = results.filter(r => r.urgency === 'High').length;
+    const cite = rows => rows.slice(0, 3).map(r => citationMarker(r.feedback_id)).join('');
+    const critical = results.filter(r => r.urgency === 'Critical');
+    const high = results.filter(r => r.urgency === 'High');
     
-    let response = `Found ${results.length} feedback items matching your query.\n\n`;
+    let response = `Found ${results.length} feedback items matching your query, led by ${cite(results)}.\n\n`;
     
-    if (criticalCount > 0) {
-      response += `⚠️ ${criticalCount} Critical issues require immediate attention.\n`;
+    if (critical.length > 0) {
+      response += `⚠️ ${critical.length} Critical issues require immediate attention ${cite(critical)}.\n`;
     }
-    if (highCount > 0) {
-      response += `${highCount} High priority items.\n`;
+    if (high.length > 0) {
+      response += `${high.length} High priority items ${cite(high)}.\n`;
     }
 
-    // Top themes
+    // Top themes, each with an example
     const themes = {};
     results.forEach(r => {
       if (r.themes) {
         r.themes.split(',').forEach(theme => {
-          themes[theme] = (themes[theme] || 0) + 1;
+          themes[theme] = themes[theme] || { count: 0, example: r.feedback_id };
+          themes[theme].count++;
         });
       }
     });
 
     const topThemes = Object.entries(themes)
-      .sort((a, b) => b[1] - a[1])
+      .sort((a, b) => b[1].count - a[1].count)
       .slice(0, 3)
-      .map(([theme, count]) => `${theme} (${count})`)
+      .map(([theme, { count, example }]) => `${theme} (${count}) ${citationMarker(example)}`)
       .join(', ');
 
     if (topThemes) {
@@ -314,82 +1105,199 @@ Keep it under 150 words.`;
     return '';
   }
 
+  /**
+   * Date range the query refers to ("this week", "since March", "Q1 2024")
+   * Returns: { dateFrom, dateTo, periods } - inclusive YYYY-MM-DD, null when open/absent;
+   *   periods lists the ranges a comparison keeps apart ("last month vs this month")
+   */
+  extractDateRange(userQuery) {
+    const range = parseDateRange(userQuery, this.referenceDate || new Date());
+    return { dateFrom: range?.dateFrom || null, dateTo: range?.dateTo || null, periods: range?.periods || null };
+  }
+
+  /**
+   * Exact-text part of a query, for the FTS match
+   * "critical issues mentioning "error 1101"" -> '"error 1101"'
+   * "feedback containing timeout*" -> 'timeout*'
+   */
+  extractTextQuery(userQuery) {
+    const parts = [];
+
+    // Quoted phrases are always matched literally
+    for (const match of userQuery.matchAll(/"([^"]+)"/g)) {
+      parts.push(`"${match[1]}"`);
+    }
+
+    // Single words after "mentioning" / "containing" / "with the word"
+    const unquoted = userQuery.replace(/"[^"]*"/g, ' ');
+    for (const match of unquoted.matchAll(TEXT_MATCH_PATTERN)) {
+      parts.push(match[1]);
+    }
+
+    return parts.length > 0 ? parts.join(' ') : null;
+  }
+
   /**
    * Fallback: Parse intent with keywords
+   * Matches whole words only ("pro" is not "product", "high" is not "highlight")
    */
   parseIntentWithKeywords(userQuery) {
     const lowerQuery = userQuery.toLowerCase();
+    const mentions = pattern => new RegExp(`\\b(?:${pattern})\\b`).test(lowerQuery);
     const intent = {
       urgency: null,
       sentiment: null,
       product: null,
       theme: null,
       customerTier: null,
+      source: null,
+      status: null,
+      textQuery: this.extractTextQuery(userQuery),
+      ...this.extractDateRange(userQuery),
       sortBy: 'urgency_score',
       limit: 20
     };
     
     // Check if this is a simple "review" or "show me" query
-    const isSimpleReviewQuery = (
-      (lowerQuery.includes('review') || lowerQuery.includes('show me') || lowerQuery.includes('list')) &&
-      !lowerQuery.includes('urgent') && 
-      !lowerQuery.includes('critical') &&
-      !lowerQuery.includes('negative') &&
-      !lowerQuery.includes('positive')
-    );
+    const isListQuery = mentions('review|show me|list');
+    const isSimpleReviewQuery = isListQuery && !mentions('urgent|critical|negative|positive');
 
     // For simple review queries, only apply basic filters
     if (!isSimpleReviewQuery) {
       // Urgency
-      if (lowerQuery.includes('critical') || lowerQuery.includes('urgent')) {
+      if (mentions('critical|urgent')) {
         intent.urgency = ['Critical'];
-      } else if (lowerQuery.includes('high priority') || lowerQuery.includes('high') || lowerQuery.includes('important')) {
+      } else if (mentions('high priority|high|important')) {
         intent.urgency = ['Critical', 'High'];
       }
 
       // Sentiment
-      if (lowerQuery.includes('negative') || lowerQuery.includes('complaints') || lowerQuery.includes('complaining')) {
+      if (mentions('negative|complaints|complaining')) {
         intent.sentiment = ['Negative', 'Frustrated'];
-      } else if (lowerQuery.includes('positive') || lowerQuery.includes('happy')) {
+      } else if (mentions('positive|happy')) {
         intent.sentiment = ['Positive'];
       }
     }
 
     // Customer tier (always apply)
-    if (lowerQuery.includes('enterprise')) {
+    if (mentions('enterprise')) {
       intent.customerTier = 'Enterprise';
-    } else if (lowerQuery.includes('pro')) {
+    } else if (mentions('pro')) {
       intent.customerTier = 'Pro';
-    } else if (lowerQuery.includes('free')) {
+    } else if (mentions('free')) {
       intent.customerTier = 'Free';
     }
 
-    // Product (always apply if mentioned)
-    if (lowerQuery.includes('workers ai')) intent.product = 'Workers AI';
-    else if (lowerQuery.includes('workers')) intent.product = 'Workers';
-    else if (lowerQuery.includes('d1')) intent.product = 'D1 Database';
-    else if (lowerQuery.includes('workflow')) intent.product = 'Workflows';
-    else if (lowerQuery.includes('r2')) intent.product = 'R2 Storage';
-    else if (lowerQuery.includes('kv')) intent.product = 'KV Storage';
-
-    // Limit - check for explicit numbers
-    const numberMatch = lowerQuery.match(/(\d+)/);
-    if (numberMatch) {
-      const num = parseInt(numberMatch[1]);
-      if (num > 0 && num <= 100) {
-        intent.limit = num;
-      }
-    }
-    
-    // Special handling for "list" or "show me" queries
-    if (lowerQuery.includes('list') || lowerQuery.includes('show me') || lowerQuery.includes('review')) {
+    // Product and source (always apply if mentioned)
+    intent.product = findMentioned(lowerQuery, PRODUCT_MENTIONS);
+    intent.source = findMentioned(lowerQuery, SOURCE_MENTIONS);
+
+    // Triage status ("open", "resolved", "in progress")
+    intent.status = findStatuses(lowerQuery);
+
+    // Limit - only numbers that are clearly a count ("top 10", "5 items"), not "error 1101"
+    const countMatch = lowerQuery.match(/\b(?:top|first|last|latest|limit|show(?: me)?)\s+(\d{1,3})\b(?!\s*(?:days?|weeks?|months?|quarters?|years?)\b)/) ||
+      lowerQuery.match(/\b(\d{1,3})\s+(?:items|results|feedback|issues|tickets|entries|complaints|posts)\b/);
+    const count = countMatch ? parseInt(countMatch[1]) : null;
+
+    if (count > 0 && count <= 100) {
+      intent.limit = count;
+    } else if (isListQuery) {
       intent.limit = 50; // Show more for explicit list requests
     }
 
+    // Counting / comparing questions
+    intent.aggregate = null;
+    this.applyAggregate(intent, this.detectAggregate(lowerQuery, intent.periods));
+
     return intent;
   }
 }
 
+/**
+ * Helper: Value for the earliest mention in the query
+ * Workers is only used when no other product is named ("KV from my Workers" -> KV Storage)
+ */
+function findMentioned(lowerQuery, mentions) {
+  const found = findAllMentioned(lowerQuery, mentions);
+  const specific = found.length > 1 ? found.filter(value => value !== 'Workers') : found;
+  return specific[0] || null;
+}
+
+/**
+ * Helper: Every value mentioned in the query, in order of appearance
+ */
+function findAllMentioned(lowerQuery, mentions) {
+  let remaining = lowerQuery;
+  const found = [];
+
+  // Longer phrases first; blank them out so "workers ai" doesn't also count as "workers"
+  for (const [value, pattern] of mentions) {
+    const match = remaining.match(pattern);
+    if (match) {
+      found.push({ value, index: match.index });
+      remaining = remaining.slice(0, match.index) + ' '.repeat(match[0].length) +
+        remaining.slice(match.index + match[0].length);
+    }
+  }
+
+  return found.sort((a, b) => a.index - b.index).map(f => f.value);
+}
+
+/**
+ * Helper: Merge filter values - a single value stays a plain string
+ */
+function unionValues(existing, added) {
+  const values = [...new Set([...[].concat(existing || []), ...[].concat(added || [])])];
+  if (values.length === 0) return null;
+  return values.length === 1 && !Array.isArray(existing) && !Array.isArray(added) ? values[0] : values;
+}
+
+/**
+ * Helper: Triage statuses named in the query ("open critical issues" -> new, triaged, in_progress)
+ * Returns: [status] or null
+ */
+function findStatuses(lowerQuery) {
+  const statuses = STATUS_MENTIONS
+    .filter(([, pattern]) => pattern.test(lowerQuery))
+    .flatMap(([values]) => values);
+  return statuses.length > 0 ? [...new Set(statuses)] : null;
+}
+
+/**
+ * Helper: Filter value minus excluded values (null when nothing is left)
+ */
+function withoutValues(value, excluded) {
+  if (!value) return value ?? null;
+  if (Array.isArray(value)) {
+    const remaining = value.filter(v => !excluded.includes(v));
+    return remaining.length > 0 ? remaining : null;
+  }
+  return excluded.includes(value) ? null : value;
+}
+
+/**
+ * Helper: Map a value onto an allowed vocabulary (case-insensitive, unambiguous partial match)
+ * Returns: { value, repaired } or { value: null, dropped }
+ */
+function matchVocabulary(value, allowed) {
+  if (value === null || value === undefined) return { value: null };
+  const text = String(value).trim().toLowerCase();
+  if (!text || ['null', 'none', 'any', 'all', 'n/a'].includes(text)) return { value: null };
+
+  // Case differences are normalized silently
+  const exact = allowed.find(option => option.toLowerCase() === text);
+  if (exact) return { value: exact };
+
+  const partial = allowed.filter(option => {
+    const lower = option.toLowerCase();
+    return lower.startsWith(text) || text.startsWith(lower) || lower.split(/[^a-z0-9]+/).includes(text);
+  });
+  if (partial.length === 1) return { value: partial[0], repaired: true };
+
+  return { value: null, dropped: true };
+}
+
 /**
  * Predefined query templates
  */
@@ -0,0 +1,118 @@
+// ============================================
+// SEARCH SESSIONS MODULE
+// Multi-turn search: each /api/search question is stored as a turn
+// (effective intent + result ids) so follow-ups can build on the last one
+// ============================================
+
+// Turns returned with a session's history
+const MAX_HISTORY_TURNS = 50;
+
+// Result ids kept per turn ("which of those ..." narrows to these)
+const MAX_STORED_RESULT_IDS = 200;
+
+/**
+ * New random session id
+ */
+export function createSessionId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Session ids are client-supplied - accept only opaque id-like strings
+ */
+export function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(sessionId);
+}
+
+/**
+ * Most recent turn of a session
+ * Returns: turn (see parseTurn) or null for a new / unknown session
+ */
+export async function getLastTurn(db, sessionId) {
+  const row = await db.prepare(`
+    SELECT * FROM search_turns
+    WHERE session_id = ?
+    ORDER BY turn_index DESC
+    LIMIT 1
+  `).bind(sessionId).first();
+
+  return row ? parseTurn(row) : null;
+}
+
+/**
+ * Conversation history, oldest first
+ * Returns: [turn]
+ */
+export async function getSessionTurns(db, sessionId) {
+  const result = await db.prepare(`
+    SELECT * FROM (
+      SELECT * FROM search_turns
+      WHERE session_id = ?
+      ORDER BY turn_index DESC
+      LIMIT ?
+    ) ORDER BY turn_index
+  `).bind(sessionId, MAX_HISTORY_TURNS).all();
+
+  return (result.results || []).map(parseTurn);
+}
+
+/**
+ * Append a turn to a session
+ * turn: { query, intent, followUp, type, resultIds, count, response }
+ * Returns: the new turn_index (1 for the first question)
+ */
+export async function saveTurn(db, sessionId, turn) {
+  const row = await db.prepare(`
+    INSERT INTO search_turns
+      (session_id, turn_index, query, intent, follow_up, result_type, result_ids, result_count, response)
+    SELECT ?, COALESCE(MAX(turn_index), 0) + 1, ?, ?, ?, ?, ?, ?, ?
+    FROM search_turns WHERE session_id = ?
+    RETURNING turn_index
+  `).bind(
+    sessionId,
+    turn.query,
+    JSON.stringify(turn.intent || {}),
+    turn.followUp || null,
+    turn.type || 'list',
+    JSON.stringify((turn.resultIds || []).slice(0, MAX_STORED_RESULT_IDS)),
+    turn.count ?? 0,
+    turn.response || null,
+    sessionId
+  ).first();
+
+  return row.turn_index;
+}
+
+/**
+ * Forget a session
+ * Returns: number of turns removed
+ */
+export async function deleteSession(db, sessionId) {
+  const result = await db.prepare(`DELETE FROM search_turns WHERE session_id = ?`).bind(sessionId).run();
+  return result.meta?.changes || 0;
+}
+
+/**
+ * Helper: Stored row -> turn with JSON columns decoded
+ */
+function parseTurn(row) {
+  return {
+    turn: row.turn_index,
+    query: row.query,
+    intent: parseJSON(row.intent, {}),
+    follow_up: row.follow_up,
+    type: row.result_type,
+    result_ids: parseJSON(row.result_ids, []),
+    count: row.result_count,
+    response: row.response,
+    created_at: row.created_at
+  };
+}
+
+function parseJSON(text, fallback) {
+  try {
+    return text ? JSON.parse(text) : fallback;
+  } catch {
+    return fallback;
+  }
+}
@@ -0,0 +1,91 @@
+// ============================================
+// SSE MODULE
+// Server-Sent Events: streaming search stages to the client and
+// reading streamed Workers AI completions
+// ============================================
+
+const encoder = new TextEncoder();
+
+/**
+ * Event stream response - events are sent while the client reads the response
+ * Returns: { response, send(event, data), close() }
+ */
+export function createEventStream() {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  let closed = false;
+
+  return {
+    response: new Response(readable, {
+      headers: {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Access-Control-Allow-Origin': '*'
+      }
+    }),
+
+    async send(event, data) {
+      if (closed) return;
+      await writer.write(encoder.encode(formatEvent(event, data)));
+    },
+
+    async close() {
+      if (closed) return;
+      closed = true;
+      await writer.close();
+    }
+  };
+}
+
+/**
+ * One SSE event; data is sent as JSON
+ */
+export function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Read a Workers AI completion requested with stream: true
+ * (SSE lines of `data: {"response": "..."}`, ending with `data: [DONE]`)
+ * onToken(text) is called for every chunk
+ * Returns: the full text
+ */
+export async function readCompletionStream(stream, onToken) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+
+  const handleLine = async (line) => {
+    if (!line.startsWith('data:')) return;
+    const payload = line.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+
+    let token;
+    try {
+      token = JSON.parse(payload).response;
+    } catch {
+      return; // Not a JSON chunk - skip it
+    }
+
+    if (token) {
+      text += token;
+      await onToken(token);
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      await handleLine(line);
+    }
+  }
+  await handleLine(buffer + decoder.decode());
+
+  return text;
+}
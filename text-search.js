@@ -0,0 +1,230 @@
+// ============================================
+// TEXT SEARCH MODULE
+// Full-text search on feedback_text via the feedback_fts (FTS5) table
+// kept in sync with feedback_master by triggers in schema.sql
+// ============================================
+
+export const HIGHLIGHT_OPEN = '<mark>';
+export const HIGHLIGHT_CLOSE = '</mark>';
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+/**
+ * Turn user input into a safe FTS5 MATCH expression
+ * Supported: "exact phrase", prefix*, AND / OR / NOT (uppercase), -term, ( grouping )
+ * Everything else is quoted, so stray punctuation can't break the query
+ * Exclusions move to the enclosing AND: "deploy (-timeout)" -> "deploy" NOT "timeout"
+ * Throws: when an exclusion is an OR alternative ("deploy OR -timeout") - FTS5 can't express it
+ * Returns: MATCH string, or null when the input has no searchable terms
+ */
+export function buildMatchQuery(input) {
+  if (!input || typeof input !== 'string') return null;
+
+  const tokens = [];
+  const pattern = /-?"([^"]*)"?|-?\(|\)|[^\s()"]+/g;
+  let match;
+
+  while ((match = pattern.exec(input)) !== null) {
+    const raw = match[0];
+
+    if (/^-?"/.test(raw)) {
+      const words = tokenizeWords(match[1]);
+      if (words.length === 0) continue;
+      if (raw.startsWith('-')) tokens.push({ type: 'op', text: 'NOT' });
+      tokens.push({ type: 'term', text: `"${words.join(' ')}"` });
+    } else if (raw === '-(') {
+      tokens.push({ type: 'op', text: 'NOT' }, { type: 'open', text: '(' });
+    } else if (raw === '(' || raw === ')') {
+      tokens.push({ type: raw === '(' ? 'open' : 'close', text: raw });
+    } else if (OPERATORS.has(raw)) {
+      tokens.push({ type: 'op', text: raw });
+    } else {
+      const negated = raw.startsWith('-') && raw.length > 1;
+      const prefix = raw.endsWith('*');
+      const words = tokenizeWords(raw);
+      if (words.length === 0) continue;
+
+      // "real-time" -> "real time" (phrase); only a single word can be a prefix
+      let text = `"${words.join(' ')}"`;
+      if (prefix && words.length === 1) text += '*';
+
+      if (negated) tokens.push({ type: 'op', text: 'NOT' });
+      tokens.push({ type: 'term', text });
+    }
+  }
+
+  const tokenStream = { tokens: balanceParens(tokens), pos: 0 };
+  const expression = parseOr(tokenStream);
+  if (!expression) return null;
+
+  // Nothing but exclusions ("-timeout") has no positive side to search for
+  const { positive, excluded } = compile(expression);
+  if (!positive) return null;
+  return withExclusions(positive, excluded).text;
+}
+
+/**
+ * SQL subquery matching feedback_fts - join it on feedback_id
+ * Columns: feedback_id, snippet (matches wrapped in <mark>), text_score (higher = better)
+ * Bind the MATCH expression from buildMatchQuery()
+ * LIMIT -1 keeps SQLite from flattening the subquery into a GROUP BY,
+ * where snippet() and bm25() can't be evaluated
+ */
+export function textMatchSubquery() {
+  return `(
+    SELECT
+      rowid AS feedback_id,
+      snippet(feedback_fts, 0, '${HIGHLIGHT_OPEN}', '${HIGHLIGHT_CLOSE}', '…', 16) AS snippet,
+      ROUND(-bm25(feedback_fts), 3) AS text_score
+    FROM feedback_fts
+    WHERE feedback_fts MATCH ?
+    LIMIT -1
+  )`;
+}
+
+/**
+ * Helper: Split into the word characters the unicode61 tokenizer indexes
+ */
+function tokenizeWords(text) {
+  return text.match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * Helper: Drop all parentheses if they don't pair up
+ */
+function balanceParens(tokens) {
+  let depth = 0;
+  for (const token of tokens) {
+    if (token.type === 'open') depth++;
+    if (token.type === 'close' && --depth < 0) break;
+  }
+  if (depth === 0) return tokens;
+  return tokens.filter(token => token.type !== 'open' && token.type !== 'close');
+}
+
+/**
+ * Helper: OR-separated alternatives (operators with a missing operand are skipped)
+ * Returns: expression node, or null when there is nothing to search
+ */
+function parseOr(stream) {
+  const items = [];
+  while (stream.pos < stream.tokens.length) {
+    const item = parseAnd(stream);
+    if (item) items.push(item);
+
+    const token = stream.tokens[stream.pos];
+    if (!token || token.type === 'close') break;
+    stream.pos++; // OR
+  }
+  return items.length > 1 ? { type: 'or', items } : items[0] || null;
+}
+
+/**
+ * Helper: Operands joined by AND, explicit or implicit
+ */
+function parseAnd(stream) {
+  const items = [];
+  for (let token = stream.tokens[stream.pos]; token; token = stream.tokens[stream.pos]) {
+    if (token.type === 'close' || (token.type === 'op' && token.text === 'OR')) break;
+    if (token.type === 'op' && token.text === 'AND') {
+      stream.pos++;
+      continue;
+    }
+    const item = parseUnary(stream);
+    if (item) items.push(item);
+  }
+  return items.length > 1 ? { type: 'and', items } : items[0] || null;
+}
+
+/**
+ * Helper: A term or group, optionally negated ("NOT x", "-x", "a NOT b" = a AND NOT b)
+ */
+function parseUnary(stream) {
+  const token = stream.tokens[stream.pos++];
+
+  if (token.type === 'op') {
+    const next = stream.tokens[stream.pos];
+    if (!next || next.type === 'close' || (next.type === 'op' && next.text !== 'NOT')) return null;
+    const item = parseUnary(stream);
+    return item && { type: 'not', item };
+  }
+
+  if (token.type === 'open') {
+    const item = parseOr(stream);
+    stream.pos++; // )
+    return item;
+  }
+
+  return { type: 'term', text: token.text };
+}
+
+/**
+ * Helper: Split an expression into what must match and what must not
+ * A node without a positive side stands for "anything except the exclusions"
+ * Returns: { positive: rendered or null, excluded: [rendered] }
+ */
+function compile(node) {
+  switch (node.type) {
+    case 'term':
+      return { positive: { text: node.text, single: true }, excluded: [] };
+
+    case 'not': {
+      const inner = compile(node.item);
+      // NOT (anything except x) is x
+      if (!inner.positive) return { positive: joinAll(inner.excluded, 'OR'), excluded: [] };
+      return { positive: null, excluded: [withExclusions(inner.positive, inner.excluded)] };
+    }
+
+    case 'and': {
+      const parts = node.items.map(compile);
+      const positives = parts.map(part => part.positive).filter(Boolean);
+      return {
+        positive: positives.length > 0 ? joinAll(positives, 'AND') : null,
+        excluded: parts.flatMap(part => part.excluded)
+      };
+    }
+
+    case 'or': {
+      const parts = node.items.map(compile);
+      if (parts.every(part => part.positive)) {
+        return { positive: joinAll(parts.map(part => withExclusions(part.positive, part.excluded)), 'OR'), excluded: [] };
+      }
+      // (anything except a) OR (anything except b) is anything except (a AND b)
+      if (parts.every(part => !part.positive)) {
+        return { positive: null, excluded: [joinAll(parts.map(part => joinAll(part.excluded, 'OR')), 'AND')] };
+      }
+      throw new Error('An exclusion can\'t be an OR alternative - use "a NOT b" or "(a OR b) NOT c"');
+    }
+  }
+}
+
+/**
+ * Helper: "positive NOT a NOT b" (FTS5 NOT is binary)
+ */
+function withExclusions(positive, excluded) {
+  if (excluded.length === 0) return positive;
+  return {
+    text: [positive, ...excluded].map(group).join(' NOT '),
+    single: false
+  };
+}
+
+/**
+ * Helper: Join rendered expressions with an operator; adjacent phrases are an implicit AND,
+ * but FTS5 needs it spelled out next to a group
+ */
+function joinAll(parts, operator) {
+  if (parts.length === 1) return parts[0];
+  const text = parts.map(group).reduce((joined, part, i) => {
+    const separator = operator === 'AND' && parts[i - 1].single && parts[i].single ? ' ' : ` ${operator} `;
+    return joined + separator + part;
+  });
+  return { text, single: false };
+}
+
+/**
+ * Helper: Parenthesize anything but a single phrase
+ */
+function group(part) {
+  return part.single ? part.text : `(${part.text})`;
+}
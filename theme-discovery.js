@@ -0,0 +1,230 @@
+// ============================================
+// THEME DISCOVERY MODULE
+// Clusters untagged feedback by embedding similarity and proposes new themes
+// Analysts accept or reject candidates via /api/themes/candidates
+// ============================================
+
+import { FeedbackAnalysisAgent } from './ai-agent.js';
+import { embedTexts, cosineSimilarity, centroid } from './embeddings.js';
+import { loadThemeTaxonomy, parseKeywords, getThemeByName, createTheme } from './themes.js';
+
+/**
+ * Embed untagged feedback, cluster it and store labeled candidate themes
+ * Untagged = analyzed feedback with no feedback_themes link ("General Feedback" included)
+ * Returns: { scanned, clusters, candidates: [...] }
+ */
+export async function discoverThemes(env, {
+  limit = 300,
+  similarityThreshold = 0.75,
+  minClusterSize = 3,
+  maxCandidates = 10
+} = {}) {
+  const untagged = await env.DB.prepare(`
+    SELECT fm.feedback_id, fm.feedback_text
+    FROM feedback_master fm
+    JOIN sentiment_analysis sa ON fm.feedback_id = sa.feedback_id
+    WHERE sa.model_used != 'pending'
+      AND NOT EXISTS (SELECT 1 FROM feedback_themes ft WHERE ft.feedback_id = fm.feedback_id)
+    GROUP BY fm.feedback_id
+    ORDER BY fm.created_date DESC
+    LIMIT ?
+  `).bind(limit).all();
+
+  const items = untagged.results || [];
+  if (items.length < minClusterSize) {
+    return { scanned: items.length, clusters: 0, candidates: [] };
+  }
+
+  const vectors = await embedTexts(env.AI, items.map(item => item.feedback_text));
+  const clusters = clusterVectors(vectors, similarityThreshold)
+    .filter(cluster => cluster.members.length >= minClusterSize)
+    .sort((a, b) => b.members.length - a.members.length)
+    .slice(0, maxCandidates);
+
+  const themes = await loadThemeTaxonomy(env.DB);
+  const agent = new FeedbackAnalysisAgent(env.AI, { themes });
+
+  // A new run replaces the previous unreviewed proposals
+  await env.DB.prepare(`DELETE FROM theme_candidates WHERE status = 'proposed'`).run();
+
+  const candidates = [];
+  for (const cluster of clusters) {
+    // Members closest to the centroid first - the top ones are the representative quotes
+    const members = cluster.members
+      .map(index => ({
+        feedback_id: items[index].feedback_id,
+        similarity: Math.round(cosineSimilarity(vectors[index], cluster.centroid) * 1000) / 1000,
+        text: items[index].feedback_text
+      }))
+      .sort((a, b) => b.similarity - a.similarity);
+
+    const label = await agent.proposeThemeLabel(members.map(m => m.text));
+    const quotes = members.slice(0, 3).map(m => ({
+      feedback_id: m.feedback_id,
+      quote: m.text.length > 240 ? m.text.slice(0, 240) + '...' : m.text
+    }));
+
+    const candidate = await env.DB.prepare(`
+      INSERT INTO theme_candidates (
+        proposed_name, category, keywords, size, representative_quotes, members
+      ) VALUES (?, ?, ?, ?, ?, ?)
+      RETURNING *
+    `).bind(
+      label.themeName,
+      label.category || null,
+      parseKeywords(label.keywords).join(','),
+      members.length,
+      JSON.stringify(quotes),
+      JSON.stringify(members.map(({ feedback_id, similarity }) => ({ feedback_id, similarity })))
+    ).first();
+
+    candidates.push(formatCandidate(candidate));
+  }
+
+  return { scanned: items.length, clusters: clusters.length, candidates };
+}
+
+/**
+ * List candidates, newest first
+ */
+export async function listCandidates(db, status = 'proposed') {
+  const result = await db.prepare(`
+    SELECT * FROM theme_candidates
+    WHERE status = ?
+    ORDER BY size DESC, candidate_id DESC
+  `).bind(status).all();
+
+  return (result.results || []).map(formatCandidate);
+}
+
+/**
+ * Get a single candidate
+ */
+export async function getCandidate(db, candidateId) {
+  const row = await db.prepare(`
+    SELECT * FROM theme_candidates WHERE candidate_id = ?
+  `).bind(candidateId).first();
+  return row ? formatCandidate(row) : null;
+}
+
+/**
+ * Accept a candidate: create the theme (or reuse an active one with the same name)
+ * and link every member to it
+ */
+export async function acceptCandidate(db, candidate, overrides = {}) {
+  const name = overrides.theme_name?.trim() || candidate.proposed_name;
+  const keywords = overrides.keywords !== undefined ? overrides.keywords : candidate.keywords;
+  const category = overrides.category !== undefined ? overrides.category : candidate.category;
+
+  let theme = await getThemeByName(db, name);
+  if (theme && theme.status !== 'active') {
+    throw new Error(`Theme "${name}" exists but is ${theme.status}`);
+  }
+  if (!theme) {
+    theme = await createTheme(db, { name, category, keywords });
+  }
+
+  const members = JSON.stringify(candidate.members);
+  await db.batch([
+    db.prepare(`
+      INSERT OR IGNORE INTO feedback_themes (feedback_id, theme_id, confidence_score)
+      SELECT json_extract(value, '$.feedback_id'), ?, MIN(1, MAX(0, json_extract(value, '$.similarity')))
+      FROM json_each(?)
+    `).bind(theme.theme_id, members),
+    // Swap "General Feedback" for the new theme in stored analyses
+    db.prepare(`
+      UPDATE sentiment_analysis
+      SET extracted_themes = (
+        SELECT json_group_array(DISTINCT value) FROM (
+          SELECT je.value FROM json_each(
+            CASE WHEN json_valid(sentiment_analysis.extracted_themes)
+              THEN sentiment_analysis.extracted_themes ELSE '[]' END
+          ) je
+          WHERE je.value != 'General Feedback'
+          UNION ALL SELECT ?1
+        )
+      )
+      WHERE feedback_id IN (SELECT json_extract(value, '$.feedback_id') FROM json_each(?2))
+    `).bind(theme.theme_name, members),
+    db.prepare(`
+      UPDATE theme_candidates
+      SET status = 'accepted', accepted_theme_id = ?, reviewed_at = datetime('now')
+      WHERE candidate_id = ?
+    `).bind(theme.theme_id, candidate.candidate_id)
+  ]);
+
+  return { theme, linked: candidate.members.length };
+}
+
+/**
+ * Reject a candidate
+ */
+export async function rejectCandidate(db, candidate) {
+  await db.prepare(`
+    UPDATE theme_candidates
+    SET status = 'rejected', reviewed_at = datetime('now')
+    WHERE candidate_id = ?
+  `).bind(candidate.candidate_id).run();
+}
+
+/**
+ * Leader clustering with a refinement pass
+ * Returns: [{ centroid, members: [vector index] }]
+ */
+export function clusterVectors(vectors, threshold = 0.75, iterations = 2) {
+  // Pass 1: join the most similar cluster above threshold, otherwise start a new one
+  let clusters = [];
+  vectors.forEach((vector, index) => {
+    let best = null;
+    let bestSim = threshold;
+    for (const cluster of clusters) {
+      const sim = cosineSimilarity(vector, cluster.centroid);
+      if (sim >= bestSim) {
+        best = cluster;
+        bestSim = sim;
+      }
+    }
+
+    if (best) {
+      best.members.push(index);
+      best.centroid = centroid(best.members.map(i => vectors[i]));
+    } else {
+      clusters.push({ centroid: vector, members: [index] });
+    }
+  });
+
+  // Refinement: reassign each vector to its closest centroid (above threshold)
+  for (let iter = 0; iter < iterations; iter++) {
+    const next = clusters.map(cluster => ({ centroid: cluster.centroid, members: [] }));
+    vectors.forEach((vector, index) => {
+      let best = null;
+      let bestSim = -Infinity;
+      for (const cluster of next) {
+        const sim = cosineSimilarity(vector, cluster.centroid);
+        if (sim > bestSim) {
+          best = cluster;
+          bestSim = sim;
+        }
+      }
+      if (best && bestSim >= threshold) best.members.push(index);
+    });
+
+    clusters = next
+      .filter(cluster => cluster.members.length > 0)
+      .map(cluster => ({ centroid: centroid(cluster.members.map(i => vectors[i])), members: cluster.members }));
+  }
+
+  return clusters;
+}
+
+/**
+ * Helper: Decode JSON columns for API responses
+ */
+function formatCandidate(row) {
+  return {
+    ...row,
+    keywords: parseKeywords(row.keywords),
+    representative_quotes: JSON.parse(row.representative_quotes || '[]'),
+    members: JSON.parse(row.members || '[]')
+  };
+}
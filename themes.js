@@ -0,0 +1,151 @@
+// ============================================
+// THEMES MODULE
+// Theme taxonomy stored in the themes table
+// Feeds the AI prompt / keyword fallback and backs the /api/themes CRUD
+// ============================================
+
+/**
+ * Load active themes for the AI agent
+ * Returns: [{ id, name, category, keywords: ['lowercase', ...] }]
+ */
+export async function loadThemeTaxonomy(db) {
+  const result = await db.prepare(`
+    SELECT theme_id, theme_name, category, keywords
+    FROM themes
+    WHERE status = 'active'
+    ORDER BY theme_id
+  `).all();
+
+  return (result.results || []).map(row => ({
+    id: row.theme_id,
+    name: row.theme_name,
+    category: row.category,
+    keywords: parseKeywords(row.keywords).map(k => k.toLowerCase())
+  }));
+}
+
+/**
+ * Keywords come in as "a,b,c" or ["a", "b", "c"]
+ */
+export function parseKeywords(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(k => String(k).trim()).filter(Boolean))];
+}
+
+/**
+ * Get a single theme by ID (any status)
+ */
+export async function getTheme(db, themeId) {
+  return db.prepare(`
+    SELECT theme_id, theme_name, category, keywords, status, merged_into, created_at, updated_at
+    FROM themes WHERE theme_id = ?
+  `).bind(themeId).first();
+}
+
+/**
+ * Get a single theme by name (any status)
+ */
+export async function getThemeByName(db, themeName) {
+  return db.prepare(`
+    SELECT theme_id, theme_name, category, keywords, status, merged_into
+    FROM themes WHERE theme_name = ?
+  `).bind(themeName).first();
+}
+
+/**
+ * Create a new active theme
+ */
+export async function createTheme(db, { name, category, keywords }) {
+  return db.prepare(`
+    INSERT INTO themes (theme_name, category, keywords)
+    VALUES (?, ?, ?)
+    RETURNING theme_id, theme_name, category, keywords, status
+  `).bind(name, category || null, parseKeywords(keywords).join(',')).first();
+}
+
+/**
+ * Update name / category / keywords
+ * A rename also rewrites the theme name inside stored analyses
+ */
+export async function updateTheme(db, theme, { name, category, keywords }) {
+  const newName = name ?? theme.theme_name;
+  const statements = [
+    db.prepare(`
+      UPDATE themes
+      SET theme_name = ?, category = ?, keywords = ?, updated_at = datetime('now')
+      WHERE theme_id = ?
+    `).bind(
+      newName,
+      category !== undefined ? category : theme.category,
+      keywords !== undefined ? parseKeywords(keywords).join(',') : theme.keywords,
+      theme.theme_id
+    )
+  ];
+
+  if (newName !== theme.theme_name) {
+    statements.push(remapExtractedThemes(db, theme.theme_name, newName));
+  }
+
+  await db.batch(statements);
+  return getTheme(db, theme.theme_id);
+}
+
+/**
+ * Merge source into target
+ * Links move to the target, the source is retired and remembers where it went
+ */
+export async function mergeThemes(db, source, target) {
+  const keywords = parseKeywords([
+    ...parseKeywords(target.keywords),
+    ...parseKeywords(source.keywords)
+  ]).join(',');
+
+  await db.batch([
+    db.prepare(`
+      INSERT OR IGNORE INTO feedback_themes (feedback_id, theme_id, confidence_score, extracted_at)
+      SELECT feedback_id, ?, confidence_score, extracted_at
+      FROM feedback_themes WHERE theme_id = ?
+    `).bind(target.theme_id, source.theme_id),
+    db.prepare(`DELETE FROM feedback_themes WHERE theme_id = ?`).bind(source.theme_id),
+    remapExtractedThemes(db, source.theme_name, target.theme_name),
+    db.prepare(`
+      UPDATE themes SET keywords = ?, updated_at = datetime('now') WHERE theme_id = ?
+    `).bind(keywords, target.theme_id),
+    db.prepare(`
+      UPDATE themes
+      SET status = 'retired', merged_into = ?, updated_at = datetime('now')
+      WHERE theme_id = ?
+    `).bind(target.theme_id, source.theme_id)
+  ]);
+
+  return getTheme(db, target.theme_id);
+}
+
+/**
+ * Retire a theme - it leaves the taxonomy but existing links are kept for history
+ */
+export async function retireTheme(db, theme) {
+  await db.prepare(`
+    UPDATE themes SET status = 'retired', updated_at = datetime('now') WHERE theme_id = ?
+  `).bind(theme.theme_id).run();
+
+  return getTheme(db, theme.theme_id);
+}
+
+/**
+ * Helper: Statement that renames a theme inside sentiment_analysis.extracted_themes
+ */
+function remapExtractedThemes(db, fromName, toName) {
+  return db.prepare(`
+    UPDATE sentiment_analysis
+    SET extracted_themes = (
+      SELECT json_group_array(DISTINCT CASE WHEN je.value = ?1 THEN ?2 ELSE je.value END)
+      FROM json_each(sentiment_analysis.extracted_themes) je
+    )
+    WHERE json_valid(extracted_themes)
+      AND EXISTS (
+        SELECT 1 FROM json_each(sentiment_analysis.extracted_themes) WHERE value = ?1
+      )
+  `).bind(fromName, toName);
+}
@@ -0,0 +1,181 @@
+// ============================================
+// TRENDS MODULE
+// Feedback over time: created_date bucketed by day, week or month with counts,
+// sentiment mix and average scores. Filters come from the shared query builder;
+// buckets without feedback are filled in so gaps show up as gaps
+// ============================================
+
+import { SENTIMENTS } from './feedback-query.js';
+
+const DAY_MS = 86400000;
+
+/**
+ * Bucket sizes - expr gives the first day of the bucket (YYYY-MM-DD) in SQL
+ */
+export const TREND_INTERVALS = {
+  day: { expr: `date(fm.created_date)` },
+  // Monday of the feedback's week (same as the week grouping in aggregations.js)
+  week: { expr: `date(fm.created_date, 'weekday 0', '-6 days')` },
+  month: { expr: `strftime('%Y-%m-01', fm.created_date)` }
+};
+
+export const DEFAULT_INTERVAL = 'week';
+
+// A window longer than this needs a coarser interval
+export const MAX_BUCKETS = 1000;
+
+// Sentiment mix keys: the labels plus items still waiting for AI analysis
+const SENTIMENT_KEYS = [...SENTIMENTS, 'Pending'];
+
+/**
+ * Interval from user input; throws on anything but day, week or month
+ */
+export function resolveInterval(value) {
+  const interval = value ? String(value).trim().toLowerCase() : DEFAULT_INTERVAL;
+  if (!TREND_INTERVALS[interval]) {
+    throw new Error(`interval must be one of ${Object.keys(TREND_INTERVALS).join(', ')}`);
+  }
+  return interval;
+}
+
+/**
+ * Build the bucketed query
+ * filterClause: buildFilterClause() result (the same filters as /api/feedback)
+ * Returns: { sql, params }
+ */
+export function buildTrendSQL(filterClause, interval) {
+  // Pending placeholders say Neutral - count them apart so the mix isn't skewed
+  const sentimentColumns = SENTIMENTS
+    .map(label => `SUM(CASE WHEN sa.model_used != 'pending' AND sa.sentiment = '${label}' THEN 1 ELSE 0 END) AS sentiment_${label.toLowerCase()}`)
+    .join(',\n      ');
+
+  const sql = `
+    SELECT
+      ${TREND_INTERVALS[interval].expr} AS period,
+      COUNT(*) AS count,
+      ${sentimentColumns},
+      SUM(CASE WHEN sa.feedback_id IS NULL OR sa.model_used = 'pending' THEN 1 ELSE 0 END) AS sentiment_pending,
+      AVG(fm.urgency_score) AS avg_urgency_score,
+      AVG(fm.value_score) AS avg_value_score
+    ${filterClause.fromClause}
+    WHERE fm.created_date IS NOT NULL${filterClause.conditions.map(c => ` AND ${c}`).join('')}
+    GROUP BY period
+    ORDER BY period
+  `;
+
+  return { sql, params: filterClause.params };
+}
+
+/**
+ * Turn bucketed rows into a continuous series
+ * window: { dateFrom, dateTo } - YYYY-MM-DD or ISO; a missing end uses the first / last bucket with feedback
+ * Empty buckets get zero counts and null averages (there is nothing to average)
+ * Throws when the window holds more than MAX_BUCKETS buckets
+ * Returns: { interval, from, to, buckets: [{ period, count, sentiment, avg_urgency_score, avg_value_score }], totals }
+ */
+export function fillBuckets(rows, interval, window = {}) {
+  const byPeriod = new Map(rows.map(row => [row.period, row]));
+  const periods = [...byPeriod.keys()].sort();
+
+  const first = window.dateFrom ? toDate(window.dateFrom) : parseDay(periods[0]);
+  const last = window.dateTo ? toDate(window.dateTo) : parseDay(periods[periods.length - 1]);
+
+  const buckets = first && last
+    ? listPeriods(first, last, interval).map(period => shapeBucket(period, byPeriod.get(period)))
+    : [];
+
+  return {
+    interval,
+    from: buckets.length > 0 ? buckets[0].period : null,
+    to: buckets.length > 0 ? formatDay(addDays(nextBucket(bucketStart(last, interval), interval), -1)) : null,
+    buckets,
+    totals: summarize(buckets)
+  };
+}
+
+/**
+ * Bucket periods (first day, YYYY-MM-DD) from the bucket containing first to the one containing last
+ * Throws when there are more than MAX_BUCKETS
+ */
+export function listPeriods(first, last, interval) {
+  const periods = [];
+  const end = bucketStart(last, interval);
+  for (let start = bucketStart(first, interval); start <= end; start = nextBucket(start, interval)) {
+    if (periods.length === MAX_BUCKETS) {
+      throw new Error(`More than ${MAX_BUCKETS} ${interval} buckets - narrow from/to or use a longer interval`);
+    }
+    periods.push(formatDay(start));
+  }
+  return periods;
+}
+
+/**
+ * Helper: One bucket in the response shape (zeros when there's no row)
+ */
+function shapeBucket(period, row) {
+  return {
+    period,
+    count: row?.count || 0,
+    sentiment: Object.fromEntries(SENTIMENT_KEYS.map(key => [key, row?.[`sentiment_${key.toLowerCase()}`] || 0])),
+    avg_urgency_score: row ? round(row.avg_urgency_score) : null,
+    avg_value_score: row ? round(row.avg_value_score) : null
+  };
+}
+
+/**
+ * Helper: Whole-window totals - averages are weighted by bucket counts
+ */
+function summarize(buckets) {
+  const count = buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+  const weighted = field => {
+    const filled = buckets.filter(bucket => bucket[field] !== null);
+    const total = filled.reduce((sum, bucket) => sum + bucket.count, 0);
+    return total > 0 ? round(filled.reduce((sum, bucket) => sum + bucket[field] * bucket.count, 0) / total) : null;
+  };
+
+  return {
+    count,
+    sentiment: Object.fromEntries(SENTIMENT_KEYS.map(key => [key, buckets.reduce((sum, bucket) => sum + bucket.sentiment[key], 0)])),
+    avg_urgency_score: weighted('avg_urgency_score'),
+    avg_value_score: weighted('avg_value_score')
+  };
+}
+
+/**
+ * Helper: First day of the day / week (Monday) / month containing date (UTC)
+ */
+function bucketStart(date, interval) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') return addDays(day, -((day.getUTCDay() + 6) % 7));
+  if (interval === 'month') return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+  return day;
+}
+
+function nextBucket(start, interval) {
+  if (interval === 'week') return addDays(start, 7);
+  if (interval === 'month') return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  return addDays(start, 1);
+}
+
+/**
+ * Helper: from / to parameter (YYYY-MM-DD or ISO timestamp) as a Date
+ */
+function toDate(value) {
+  return value.length === 10 ? parseDay(value) : new Date(value);
+}
+
+function parseDay(value) {
+  return value ? new Date(`${value}T00:00:00Z`) : null;
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function round(value) {
+  return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
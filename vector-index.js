@@ -0,0 +1,99 @@
+// ============================================
+// VECTOR INDEX MODULE
+// Feedback embeddings in Vectorize, or an in-memory index when
+// no VECTORIZE binding is configured (offline development)
+// ============================================
+
+import { embedTexts, cosineSimilarity } from './embeddings.js';
+
+/**
+ * Vectorize-backed index
+ */
+export class VectorizeIndex {
+  constructor(binding) {
+    this.binding = binding;
+    this.kind = 'vectorize';
+  }
+
+  async upsert(items) {
+    if (items.length === 0) return;
+    await this.binding.upsert(items.map(item => ({
+      id: String(item.id),
+      values: item.values,
+      metadata: item.metadata || {}
+    })));
+  }
+
+  /**
+   * Returns: [{ id, score }] best first
+   */
+  async query(vector, topK = 50) {
+    const result = await this.binding.query(vector, { topK: Math.min(topK, 100) });
+    return (result.matches || []).map(match => ({ id: parseInt(match.id), score: match.score }));
+  }
+
+  async remove(ids) {
+    if (ids.length === 0) return;
+    await this.binding.deleteByIds(ids.map(String));
+  }
+}
+
+/**
+ * In-memory index (brute-force cosine) - lives as long as the isolate
+ */
+export class MemoryVectorIndex {
+  constructor() {
+    this.vectors = new Map();
+    this.kind = 'memory';
+  }
+
+  async upsert(items) {
+    for (const item of items) {
+      this.vectors.set(parseInt(item.id), { values: item.values, metadata: item.metadata || {} });
+    }
+  }
+
+  async query(vector, topK = 50) {
+    const scored = [];
+    for (const [id, entry] of this.vectors) {
+      scored.push({ id, score: cosineSimilarity(vector, entry.values) });
+    }
+    return scored.sort((a, b) => b.score - a.score).slice(0, topK);
+  }
+
+  async remove(ids) {
+    for (const id of ids) {
+      this.vectors.delete(parseInt(id));
+    }
+  }
+}
+
+// Shared fallback index for this isolate
+const memoryIndex = new MemoryVectorIndex();
+
+/**
+ * Vectorize when bound, otherwise the local in-memory index
+ */
+export function createVectorIndex(env) {
+  return env.VECTORIZE ? new VectorizeIndex(env.VECTORIZE) : memoryIndex;
+}
+
+/**
+ * Embed feedback text and upsert it into the index
+ * items: [{ feedback_id, feedback_text, source, product }]
+ * Returns: number of items indexed
+ */
+export async function indexFeedback(env, items, index = createVectorIndex(env)) {
+  if (items.length === 0) return 0;
+
+  const vectors = await embedTexts(env.AI, items.map(item => item.feedback_text));
+  await index.upsert(items.map((item, i) => {
+    // Vectorize metadata can't hold nulls
+    const metadata = {};
+    if (item.source) metadata.source = item.source;
+    if (item.product) metadata.product = item.product;
+    return { id: item.feedback_id, values: vectors[i], metadata };
+  }));
+
+  return items.length;
+}
@@ -0,0 +1,262 @@
+// ============================================
+// XLSX READER MODULE
+// Minimal .xlsx workbook reader for Workers (no dependencies)
+// Unzips with DecompressionStream and reads sheets as row objects
+// ============================================
+
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * Read an .xlsx workbook
+ * Returns: [{ name, rows: [{ header: value }] }] in workbook order
+ */
+export async function readWorkbook(buffer) {
+  const entries = readZipEntries(buffer);
+
+  const workbookXml = await readZipText(buffer, entries, 'xl/workbook.xml');
+  if (!workbookXml) {
+    throw new Error('Invalid workbook: xl/workbook.xml not found');
+  }
+
+  const relsXml = await readZipText(buffer, entries, 'xl/_rels/workbook.xml.rels') || '';
+  const sharedStringsXml = await readZipText(buffer, entries, 'xl/sharedStrings.xml') || '';
+  const sharedStrings = parseSharedStrings(sharedStringsXml);
+  const targets = parseRelationships(relsXml);
+
+  const sheets = [];
+  for (const sheet of parseSheetList(workbookXml)) {
+    const path = resolveSheetPath(targets[sheet.relId]);
+    const sheetXml = path ? await readZipText(buffer, entries, path) : null;
+    sheets.push({
+      name: sheet.name,
+      rows: sheetXml ? sheetRowsToObjects(parseSheetRows(sheetXml, sharedStrings)) : []
+    });
+  }
+
+  return sheets;
+}
+
+/**
+ * Parse ZIP central directory into { path: { offset, method, compressedSize } }
+ */
+function readZipEntries(buffer) {
+  const view = new DataView(buffer);
+
+  // End of central directory record sits in the last 22 bytes + optional comment
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === ZIP_EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('Invalid workbook: not a zip archive');
+  }
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = {};
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== ZIP_CENTRAL_SIGNATURE) {
+      throw new Error('Invalid workbook: corrupt zip directory');
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    entries[name] = { offset: localOffset, method, compressedSize };
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Read and inflate a single zip entry as UTF-8 text
+ */
+async function readZipText(buffer, entries, path) {
+  const entry = entries[path] || entries[path.replace(/^\//, '')];
+  if (!entry) return null;
+
+  const view = new DataView(buffer);
+  if (view.getUint32(entry.offset, true) !== ZIP_LOCAL_SIGNATURE) {
+    throw new Error(`Invalid workbook: corrupt entry ${path}`);
+  }
+  const nameLength = view.getUint16(entry.offset + 26, true);
+  const extraLength = view.getUint16(entry.offset + 28, true);
+  const start = entry.offset + 30 + nameLength + extraLength;
+  const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+  // Method 0 = stored, 8 = deflate
+  if (entry.method === 0) {
+    return new TextDecoder().decode(data);
+  }
+  if (entry.method !== 8) {
+    throw new Error(`Unsupported zip compression method: ${entry.method}`);
+  }
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+}
+
+/**
+ * Helper: Sheet names and relationship ids from workbook.xml
+ */
+function parseSheetList(workbookXml) {
+  const sheets = [];
+  for (const match of workbookXml.matchAll(/<sheet\b([^>]*)\/?>/g)) {
+    const attrs = parseAttributes(match[1]);
+    sheets.push({ name: attrs.name, relId: attrs['r:id'] });
+  }
+  return sheets;
+}
+
+/**
+ * Helper: Relationship id -> target path
+ */
+function parseRelationships(relsXml) {
+  const targets = {};
+  for (const match of relsXml.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    const attrs = parseAttributes(match[1]);
+    targets[attrs.Id] = attrs.Target;
+  }
+  return targets;
+}
+
+/**
+ * Helper: Relationship targets are relative to xl/ unless absolute
+ */
+function resolveSheetPath(target) {
+  if (!target) return null;
+  if (target.startsWith('/')) return target.slice(1);
+  return `xl/${target}`;
+}
+
+/**
+ * Helper: Shared string table (plain and rich-text entries)
+ */
+function parseSharedStrings(xml) {
+  const strings = [];
+  for (const match of xml.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+    strings.push(readTextRuns(match[1]));
+  }
+  return strings;
+}
+
+/**
+ * Helper: Parse <row> elements into arrays of cell values by column index
+ */
+function parseSheetRows(xml, sharedStrings) {
+  const rows = [];
+
+  for (const rowMatch of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const cells = [];
+    let nextColumn = 0;
+
+    for (const cellMatch of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = parseAttributes(cellMatch[1]);
+      const column = attrs.r ? columnIndex(attrs.r) : nextColumn;
+      cells[column] = readCellValue(attrs.t, cellMatch[2] || '', sharedStrings);
+      nextColumn = column + 1;
+    }
+
+    rows.push(cells);
+  }
+
+  return rows;
+}
+
+/**
+ * Helper: Cell values come back as strings, the same way a CSV export would
+ */
+function readCellValue(type, inner, sharedStrings) {
+  if (type === 'inlineStr') {
+    return readTextRuns(inner);
+  }
+
+  const valueMatch = inner.match(/<v>([\s\S]*?)<\/v>/);
+  const raw = valueMatch ? decodeXml(valueMatch[1]) : '';
+
+  if (type === 's') return sharedStrings[parseInt(raw)] ?? '';
+  if (type === 'b') return raw === '1' ? 'TRUE' : raw === '0' ? 'FALSE' : '';
+  return raw;
+}
+
+/**
+ * Helper: Concatenate all <t> runs inside a string item
+ */
+function readTextRuns(xml) {
+  let text = '';
+  for (const match of xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)) {
+    text += decodeXml(match[1]);
+  }
+  return text;
+}
+
+/**
+ * Helper: First row is the header, blank rows are dropped
+ */
+function sheetRowsToObjects(rows) {
+  if (rows.length === 0) return [];
+
+  const headers = Array.from(rows[0], h => (h || '').trim());
+  const objects = [];
+
+  for (const cells of rows.slice(1)) {
+    const obj = {};
+    let hasValue = false;
+
+    headers.forEach((header, i) => {
+      if (!header) return;
+      const value = cells[i];
+      if (value !== undefined && value !== '') {
+        obj[header] = value;
+        hasValue = true;
+      }
+    });
+
+    if (hasValue) objects.push(obj);
+  }
+
+  return objects;
+}
+
+/**
+ * Helper: "AB12" -> 27
+ */
+function columnIndex(ref) {
+  const letters = ref.match(/^[A-Z]+/)[0];
+  let index = 0;
+  for (const ch of letters) {
+    index = index * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+function parseAttributes(str) {
+  const attrs = {};
+  for (const match of str.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    attrs[match[1]] = decodeXml(match[2]);
+  }
+  return attrs;
+}
+
+function decodeXml(str) {
+  return str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code)))
+    .replace(/&#x([0-9a-fA-F]+);/g, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}